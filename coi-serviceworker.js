@@ -0,0 +1,39 @@
+/**
+ * Cross-origin isolation service worker
+ * "Move now" (AIWorkerProxy.moveNow) needs SharedArrayBuffer, which browsers only offer to
+ * cross-origin isolated pages, i.e. pages served with
+ *     Cross-Origin-Opener-Policy: same-origin
+ *     Cross-Origin-Embedder-Policy: require-corp
+ * A server that sends these two headers needs nothing else. Static hosts that cannot set
+ * headers (GitHub Pages, a plain file server) get them from this worker instead: it adds
+ * them to every response it serves, and js/cross_origin_isolation.js registers it and
+ * reloads the page once so the first visit is isolated too. It must be served from the
+ * directory of index.html, since a service worker only controls pages at or below its
+ * own path, and it needs a secure context (https or localhost).
+ * Everything the page loads is same-origin (see its Content-Security-Policy), so
+ * require-corp blocks nothing.
+ */
+self.addEventListener('install', () => self.skipWaiting());
+
+self.addEventListener('activate', (event) => event.waitUntil(self.clients.claim()));
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    // Such requests throw when fetched from a worker (a DevTools quirk)
+    if (request.cache === 'only-if-cached' && request.mode !== 'same-origin') return;
+
+    event.respondWith(fetch(request).then(response => {
+        // Opaque responses cannot be copied
+        if (response.status === 0) return response;
+
+        const headers = new Headers(response.headers);
+        headers.set('Cross-Origin-Opener-Policy', 'same-origin');
+        headers.set('Cross-Origin-Embedder-Policy', 'require-corp');
+        headers.set('Cross-Origin-Resource-Policy', 'same-origin');
+        return new Response(response.body, {
+            status: response.status,
+            statusText: response.statusText,
+            headers: headers
+        });
+    }));
+});
\ No newline at end of file
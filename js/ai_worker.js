@@ -8,9 +8,31 @@ let wasmModule = null;
 let aiEngine = null;
 let isInitialized = false;
 let currentDifficulty = 5000000; // Default difficulty
+let currentEngineLevel = null; // AIDifficulty key chosen by a difficulty preset, null to derive it
 let currentTimeLimit = 2.5; // Default time limit in seconds
 let debugMode = false; // Debug mode flag
 
+// A move is one engine search, which blocks the worker until it ends. The engine reads its
+// clock through performance.now, so the search clock below reports progress while it runs,
+// and "move now" (a flag the proxy sets in shared memory) pushes the clock past the
+// deadline: the engine then stops and returns the best move of the tree it has grown.
+// Cancelling terminates the whole worker (see AIWorkerProxy.cancel).
+// The engine has no binding for its iteration count or best move during a search, but it
+// checks the clock at a fixed iteration interval, so counting those checks gives the
+// iterations so far; the ratio is measured again after every search.
+const PROGRESS_INTERVAL_MS = 250;
+const MOVE_NOW_CLOCK_JUMP_MS = 1e9;
+let moveNowFlag = null; // Int32Array over the proxy's SharedArrayBuffer, if it has one
+let activeSearch = null; // { id, startTime, timeLimitMs, iterationLimit, lastProgress, clockChecks } of the move being searched
+let iterationsPerClockCheck = 100; // Engine iterations between two clock checks, as last measured
+
+// Position analysis: random playouts screen every move, fast AI-vs-AI playouts estimate win chances
+const SCREENING_PLAYOUTS = 4; // Random playouts per legal move when ranking a position
+const PLAYOUT_MOVE_LIMIT = 300;
+const PLAYOUT_RANDOM_MOVE_RATE = 0.15; // The cheap policy is deterministic; random moves make playouts differ
+let positionEngine = null; // Scratch GameEngine for legal moves and playouts
+let playoutAI = null; // Cheapest possible AIEngine, used as the playout policy
+
 /**
  * Handle messages from main thread
  */
@@ -20,13 +42,21 @@ self.onmessage = async function(event) {
     try {
         switch (message.type) {
             case 'INIT':
-                await handleInit(message.wasmPath);
+                await handleInit(message.wasmPath, message.moveNowBuffer);
                 break;
                 
             case 'COMPUTE_AI_ACTION':
                 await handleComputeAction(message);
                 break;
                 
+            case 'ANALYZE_POSITION':
+                await handleAnalyzePosition(message);
+                break;
+                
+            case 'ANALYZE_GAME':
+                await handleAnalyzeGame(message);
+                break;
+                
             case 'SET_DIFFICULTY':
                 handleSetDifficulty(message.difficulty);
                 break;
@@ -55,8 +85,13 @@ self.onmessage = async function(event) {
 /**
  * Initialize WASM module
  */
-async function handleInit(wasmPath) {
+async function handleInit(wasmPath, moveNowBuffer) {
     try {
+        if (moveNowBuffer) {
+            moveNowFlag = new Int32Array(moveNowBuffer);
+        }
+        installSearchClock();
+        
         // Import WASM module script
         // Adjust path if needed. Assuming wasmPath is relative to web root (e.g. "wasm/splendor.js")
         // and worker is in "js/ai_worker.js".
@@ -119,11 +154,13 @@ async function handleComputeAction(message) {
     }
     
     const { id, gameState, playerId, difficulty, timeLimit } = message;
+    const engineLevel = message.engineLevel || null;
+    const randomMoveRate = message.randomMoveRate || 0;
     
     try {
         // Update difficulty if changed
-        if (difficulty && difficulty !== currentDifficulty) {
-            handleSetDifficulty(difficulty);
+        if (difficulty && (difficulty !== currentDifficulty || engineLevel !== currentEngineLevel)) {
+            handleSetDifficulty(difficulty, engineLevel);
         }
         
         // Update time limit if changed
@@ -138,22 +175,54 @@ async function handleComputeAction(message) {
         // Convert game state to JSON string
         const stateJSON = JSON.stringify(gameState);
         
-        // Call AI engine
+        // One search with the full budget (analysis requests may have changed the limits)
+        aiEngine.setTimeLimit(Math.round(currentTimeLimit * 1000));
+        aiEngine.setIterationLimit(currentDifficulty);
+        if (moveNowFlag) {
+            Atomics.store(moveNowFlag, 0, 0);
+        }
+        activeSearch = {
+            id: id,
+            startTime: performance.now(),
+            timeLimitMs: currentTimeLimit * 1000,
+            iterationLimit: currentDifficulty,
+            lastProgress: 0,
+            clockChecks: 0
+        };
+        
         // Note: This is the blocking computation that now runs in worker
-        const actionJSON = debugMode ?
-            aiEngine.selectActionJSONDebug(stateJSON, playerId) :
-            aiEngine.selectActionJSON(stateJSON, playerId);
+        const search = activeSearch;
+        let actionJSON;
+        try {
+            actionJSON = debugMode ?
+                aiEngine.selectActionJSONDebug(stateJSON, playerId) :
+                aiEngine.selectActionJSON(stateJSON, playerId);
+        } finally {
+            activeSearch = null;
+        }
+        const movedEarly = !!moveNowFlag && Atomics.exchange(moveNowFlag, 0, 0) === 1;
         
         const endTime = Date.now();
         const timeMs = endTime - startTime;
         
-        // Parse action
-        const action = JSON.parse(actionJSON);
-        
         // Get actual iterations
         const actualIterations = aiEngine.getLastIterationCount();
+        if (search.clockChecks > 0 && actualIterations > 0) {
+            iterationsPerClockCheck = actualIterations / search.clockChecks;
+        }
+        
+        // Parse action; the weaker difficulty presets sometimes play a random legal move instead
+        let action = JSON.parse(actionJSON);
+        if (randomMoveRate > 0 && Math.random() < randomMoveRate) {
+            const legalActions = getLegalActions(gameState);
+            if (legalActions.length > 0) {
+                action = legalActions[Math.floor(Math.random() * legalActions.length)];
+                console.log('[AI Worker] Playing a random move for the difficulty preset');
+            }
+        }
         
-        console.log('[AI Worker] AI computation completed:', actualIterations, 'iterations in', timeMs, 'ms');
+        console.log('[AI Worker] AI computation completed:', actualIterations, 'iterations in', timeMs, 'ms',
+            movedEarly ? '(moved early)' : '');
 
         // Send result back to main thread
         self.postMessage({
@@ -176,21 +245,316 @@ async function handleComputeAction(message) {
     }
 }
 
+/**
+ * Rank every legal move of a position: the engine's own pick (from one search) first,
+ * then the others by playouts. The engine has no binding that scores a single move, so
+ * each other legal move is screened with a few random playouts, and the best screened
+ * ones and the engine's pick get policy playouts, whose win rate and game count are
+ * reported as is (rough estimates at these counts).
+ */
+async function handleAnalyzePosition(message) {
+    if (!isInitialized) {
+        throw new Error('Worker not initialized');
+    }
+    
+    const { id, gameState, playerId } = message;
+    const topN = message.topN || 3;
+    const searchTimeMs = (message.searchTime || 1.5) * 1000;
+    const playouts = message.playouts || 8;
+    
+    try {
+        const startTime = Date.now();
+        
+        sendProgress(id, { phase: 'search', done: 0 });
+        const engineKey = actionKey(searchBestAction(JSON.stringify(gameState), playerId, searchTimeMs));
+        
+        const legalActions = getLegalActions(gameState);
+        const moves = [];
+        for (let i = 0; i < legalActions.length; i++) {
+            const action = legalActions[i];
+            const screening = runPlayouts(stateAfter(gameState, action), SCREENING_PLAYOUTS, 1);
+            moves.push({
+                action: action,
+                isEngineChoice: actionKey(action) === engineKey,
+                screenWins: screening.wins[playerId],
+                screenPlayouts: screening.games,
+                wins: null,
+                playouts: 0,
+                winProbability: null
+            });
+            sendProgress(id, { phase: 'screening', done: (i + 1) / legalActions.length });
+        }
+        
+        const screenRate = move => move.screenPlayouts > 0 ? move.screenWins / move.screenPlayouts : 0;
+        moves.sort((a, b) => screenRate(b) - screenRate(a));
+        const estimated = moves.filter((move, index) => index < topN || move.isEngineChoice);
+        
+        for (let i = 0; i < estimated.length; i++) {
+            const move = estimated[i];
+            const result = runPlayouts(stateAfter(gameState, move.action), playouts);
+            move.wins = result.wins[playerId];
+            move.playouts = result.games;
+            move.winProbability = result.games > 0 ? move.wins / result.games : null;
+            sendProgress(id, { phase: 'playouts', done: (i + 1) / estimated.length });
+        }
+        
+        // The engine's searched move leads: a few weak-policy playouts are far too noisy to
+        // overrule it. Playouts only order the other moves: estimated ones, then the rest
+        const rank = move => move.winProbability === null ? -1 : move.winProbability;
+        estimated.sort((a, b) => b.isEngineChoice - a.isEngineChoice || rank(b) - rank(a));
+        const ranked = estimated.concat(moves.filter(move => !estimated.includes(move)));
+        
+        self.postMessage({
+            type: 'ANALYSIS_RESULT',
+            id: id,
+            analysis: {
+                moves: ranked,
+                estimatedCount: estimated.length,
+                timeMs: Date.now() - startTime
+            }
+        });
+        
+    } catch (error) {
+        console.error('Position analysis error:', error);
+        self.postMessage({
+            type: 'AI_ERROR',
+            id: id,
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Evaluate every move of a finished game: the engine's preferred move for each
+ * position and the win rates in playouts after the actual and the preferred move,
+ * with the number of finished playouts behind each rate so the report can judge
+ * how far to trust a difference. Each position's result is streamed as progress so
+ * the report can fill in live.
+ */
+async function handleAnalyzeGame(message) {
+    if (!isInitialized) {
+        throw new Error('Worker not initialized');
+    }
+    
+    // states[i] is the position before actions[i]; the last state is the final position
+    const { id, states, actions, movers } = message;
+    const searchTimeMs = (message.searchTime || 0.25) * 1000;
+    const playouts = message.playouts || 10;
+    // Drops above confirmAbove get playouts up to confirmPlayouts per side, to tell them from noise
+    const confirmAbove = typeof message.confirmAbove === 'number' ? message.confirmAbove : Infinity;
+    const confirmPlayouts = message.confirmPlayouts || playouts;
+    
+    try {
+        const startTime = Date.now();
+        
+        const positions = [];
+        for (let i = 0; i < actions.length; i++) {
+            const bestAction = searchBestAction(JSON.stringify(states[i]), movers[i], searchTimeMs);
+            const isBest = actionKey(bestAction) === actionKey(actions[i]);
+            
+            // The recorded next position already includes the player's own discards
+            let actual = runPlayouts(asEngineOnly(states[i + 1]), playouts);
+            let best = isBest ? actual : runPlayouts(stateAfter(states[i], bestAction), playouts);
+            
+            const extra = confirmPlayouts - playouts;
+            if (!isBest && extra > 0 && winRateDrop(actual, best, movers[i]) > confirmAbove) {
+                actual = mergePlayouts(actual, runPlayouts(asEngineOnly(states[i + 1]), extra));
+                best = mergePlayouts(best, runPlayouts(stateAfter(states[i], bestAction), extra));
+            }
+            
+            const position = {
+                bestAction: bestAction,
+                isBest: isBest,
+                actual: winRates(actual),
+                best: winRates(best),
+                playouts: { actual: actual.games, best: best.games }
+            };
+            positions.push(position);
+            sendProgress(id, { phase: 'game', done: (i + 1) / actions.length, index: i, position: position });
+        }
+        
+        self.postMessage({
+            type: 'ANALYSIS_RESULT',
+            id: id,
+            analysis: {
+                positions: positions,
+                timeMs: Date.now() - startTime
+            }
+        });
+        
+    } catch (error) {
+        console.error('Game analysis error:', error);
+        self.postMessage({
+            type: 'AI_ERROR',
+            id: id,
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Win probability per player from playout results (null when no playout finished)
+ */
+function winRates({ wins, games }) {
+    return wins.map(count => games > 0 ? count / games : null);
+}
+
+/**
+ * How much lower a player's win rate is in one set of playouts than in another
+ */
+function winRateDrop(actual, best, playerId) {
+    if (actual.games === 0 || best.games === 0) return 0;
+    return best.wins[playerId] / best.games - actual.wins[playerId] / actual.games;
+}
+
+function mergePlayouts(a, b) {
+    return {
+        wins: a.wins.map((count, index) => count + b.wins[index]),
+        games: a.games + b.games
+    };
+}
+
+/**
+ * Scratch engine and playout policy, created on first use
+ */
+function getPositionEngine() {
+    if (!positionEngine) {
+        positionEngine = new wasmModule.GameEngine();
+        playoutAI = new wasmModule.AIEngine(wasmModule.AIDifficulty.EASY);
+        playoutAI.setIterationLimit(1);
+        playoutAI.setTimeLimit(1);
+    }
+    return positionEngine;
+}
+
+/**
+ * The same state with every seat played by the engine (so discards resolve on their own)
+ */
+function asEngineOnly(gameState) {
+    const state = JSON.parse(JSON.stringify(gameState));
+    state.players.forEach(player => {
+        player.isHuman = false;
+    });
+    return JSON.stringify(state);
+}
+
+function getLegalActions(gameState) {
+    const engine = getPositionEngine();
+    engine.setStateFromJSON(JSON.stringify(gameState));
+    return JSON.parse(engine.getLegalActionsJSON());
+}
+
+/**
+ * State JSON (all seats engine-played) after applying an action
+ */
+function stateAfter(gameState, action) {
+    const engine = getPositionEngine();
+    engine.setStateFromJSON(asEngineOnly(gameState));
+    if (!engine.executeActionFromJS(action)) {
+        throw new Error('Analysis move was rejected by the engine');
+    }
+    return engine.getStateJSON();
+}
+
+/**
+ * Play fast AI-vs-AI games to the end from a state
+ * @param {number} randomMoveRate - Share of moves picked at random instead of by the policy (1: random games)
+ * @returns {Object} { wins: per player index, games: finished games }
+ */
+function runPlayouts(stateJSON, count, randomMoveRate = PLAYOUT_RANDOM_MOVE_RATE) {
+    const engine = getPositionEngine();
+    const playerCount = JSON.parse(stateJSON).players.length;
+    const wins = new Array(playerCount).fill(0);
+    let games = 0;
+    
+    for (let i = 0; i < count; i++) {
+        engine.setStateFromJSON(stateJSON);
+        let moves = 0;
+        while (!engine.isGameOver() && moves < PLAYOUT_MOVE_LIMIT) {
+            let action;
+            if (Math.random() < randomMoveRate) {
+                const legalActions = JSON.parse(engine.getLegalActionsJSON());
+                action = legalActions[Math.floor(Math.random() * legalActions.length)];
+            } else {
+                action = JSON.parse(playoutAI.selectActionJSON(engine.getStateJSON(), engine.getCurrentPlayer()));
+            }
+            if (!action || !engine.executeActionFromJS(action)) break;
+            moves++;
+        }
+        if (engine.isGameOver()) {
+            wins[engine.getWinner()]++;
+            games++;
+        }
+    }
+    return { wins, games };
+}
+
+/**
+ * The engine's move for a position after one search of the given length
+ */
+function searchBestAction(stateJSON, playerId, timeLimitMs) {
+    aiEngine.setTimeLimit(Math.max(1, Math.round(timeLimitMs)));
+    aiEngine.setIterationLimit(currentDifficulty);
+    return JSON.parse(aiEngine.selectActionJSON(stateJSON, playerId));
+}
+
+/**
+ * Identity of a move regardless of payment details
+ */
+function actionKey(action) {
+    return [action.type, action.gems.slice().sort().join(','), action.cardId, action.cardTier, action.fromReserved].join('|');
+}
+
+/**
+ * Wrap performance.now, the engine's clock, to report the progress of the move search
+ * (with the iterations estimated from the clock checks) and to end it early once the
+ * proxy sets the move-now flag
+ */
+function installSearchClock() {
+    const now = performance.now.bind(performance);
+    performance.now = () => {
+        const time = now();
+        if (activeSearch) {
+            activeSearch.clockChecks++;
+        }
+        if (activeSearch && time - activeSearch.lastProgress >= PROGRESS_INTERVAL_MS) {
+            activeSearch.lastProgress = time;
+            sendProgress(activeSearch.id, {
+                iterations: Math.min(activeSearch.iterationLimit,
+                                     Math.round(activeSearch.clockChecks * iterationsPerClockCheck)),
+                elapsedMs: time - activeSearch.startTime,
+                timeLimitMs: activeSearch.timeLimitMs,
+                iterationLimit: activeSearch.iterationLimit
+            });
+        }
+        if (moveNowFlag && Atomics.load(moveNowFlag, 0) === 1) {
+            return time + MOVE_NOW_CLOCK_JUMP_MS;
+        }
+        return time;
+    };
+}
+
 /**
  * Set AI difficulty
+ * @param {number} difficulty - MCTS iterations
+ * @param {string} engineLevel - Optional AIDifficulty key (from a difficulty preset)
  */
-function handleSetDifficulty(difficulty) {
+function handleSetDifficulty(difficulty, engineLevel = null) {
     if (!isInitialized) {
         return;
     }
     
     currentDifficulty = difficulty;
+    currentEngineLevel = engineLevel;
     
     console.log('[AI Worker] Setting difficulty to:', difficulty);
     
     // Map to enum
     let diffEnum;
-    if (difficulty <= 100) {
+    if (engineLevel && wasmModule.AIDifficulty[engineLevel]) {
+        diffEnum = wasmModule.AIDifficulty[engineLevel];
+        console.log('[AI Worker] Using preset engine level', engineLevel);
+    } else if (difficulty <= 100) {
         diffEnum = wasmModule.AIDifficulty.EASY;
         console.log('[AI Worker] Mapped to EASY (1000 iterations)');
     } else if (difficulty <= 1000) {
@@ -237,7 +601,7 @@ function handleSetDebugMode(enabled) {
 }
 
 /**
- * Send progress update (optional enhancement)
+ * Send a progress update to the main thread
  */
 function sendProgress(id, progress) {
     self.postMessage({
@@ -5,7 +5,7 @@
 class AIWorkerProxy {
     constructor(workerPath = 'js/ai_worker.js') {
         // Add cache-busting parameter to worker URL
-        this.workerPath = workerPath + '?v=4';
+        this.workerPath = workerPath + '?v=14';
         this.worker = null;
         this.isReady = false;
         this.pendingRequests = new Map();
@@ -15,9 +15,18 @@ class AIWorkerProxy {
         this.difficulty = 5000000; // Default difficulty
         this.timeLimit = 2.5; // Default time limit in seconds
         this.debugMode = false; // Debug mode flag
+        this.restarting = null; // Promise of the worker being replaced, e.g. after cancel()
+        
+        // Shared with the worker: 1 ends its move search early (see ai_worker.js). Browsers
+        // only offer SharedArrayBuffer on cross-origin isolated pages (coi-serviceworker.js
+        // makes the page so where the server does not); without it there is no "move now",
+        // since the worker cannot read messages while the engine searches.
+        this.moveNowFlag = typeof SharedArrayBuffer !== 'undefined' ?
+            new Int32Array(new SharedArrayBuffer(4)) : null;
         
         // Fallback: Main thread AI interface (if workers not available)
         this.fallbackWasm = null;
+        this.fallbackRequest = null; // { reject } of the main-thread computation in flight
     }
     
     /**
@@ -63,7 +72,8 @@ class AIWorkerProxy {
             
             this.worker.postMessage({
                 type: 'INIT',
-                wasmPath: wasmPath
+                wasmPath: wasmPath,
+                moveNowBuffer: this.moveNowFlag ? this.moveNowFlag.buffer : null
             });
             
             await initPromise;
@@ -108,9 +118,14 @@ class AIWorkerProxy {
      * Request AI action computation
      * @param {Object} gameState - Current game state
      * @param {number} playerId - AI player ID
+     * @param {Object} settings - Optional per-request { timeLimit, difficulty, engineLevel, randomMoveRate }
+     *   (e.g. per seat, see DifficultyPresets.searchSettings)
      * @returns {Promise<Object>} - Selected action
      */
-    async getAIAction(gameState, playerId) {
+    async getAIAction(gameState, playerId, settings = {}) {
+        if (this.restarting) {
+            await this.restarting;
+        }
         if (!this.isReady) {
             throw new Error('AI Worker not initialized');
         }
@@ -119,6 +134,7 @@ class AIWorkerProxy {
         if (!this.useWorker) {
             return this.getAIActionFallback(gameState, playerId);
         }
+
         
         // Generate unique request ID
         const requestId = `ai_request_${this.requestIdCounter++}`;
@@ -145,10 +161,93 @@ class AIWorkerProxy {
             id: requestId,
             gameState: gameState,
             playerId: playerId,
-            difficulty: this.difficulty,
-            timeLimit: this.timeLimit
+            difficulty: settings.difficulty || this.difficulty,
+            timeLimit: settings.timeLimit || this.timeLimit,
+            engineLevel: settings.engineLevel || null,
+            randomMoveRate: settings.randomMoveRate || 0
+        });
+        
+        return promise;
+    }
+    
+    /**
+     * Rank every legal move of a position (worker only; the main-thread fallback would freeze the page)
+     * @param {Object} gameState - Position to analyze
+     * @param {number} playerId - Player to move
+     * @param {Object} options - { topN, searchTime (seconds), playouts }
+     * @param {Function} onProgress - Optional, called with { phase: 'search'|'screening'|'playouts', done (0-1) }
+     * @returns {Promise<Object>} - { moves, estimatedCount, timeMs }; moves are all legal moves, the
+     *   engine's pick first and the others by playout win rate:
+     *   { action, isEngineChoice, screenWins, screenPlayouts, wins, playouts, winProbability }. The first
+     *   estimatedCount (the topN best screened and the engine's pick) have wins out of playouts policy
+     *   playouts; the others only their random screening playouts.
+     */
+    analyzePosition(gameState, playerId, options = {}, onProgress = null) {
+        return this.requestAnalysis({
+            type: 'ANALYZE_POSITION',
+            gameState: gameState,
+            playerId: playerId,
+            topN: options.topN,
+            searchTime: options.searchTime,
+            playouts: options.playouts
+        }, onProgress);
+    }
+    
+    /**
+     * Evaluate every move of a game (worker only)
+     * @param {Array} states - Position before each action, followed by the final position
+     * @param {Array} actions - Plain actions as recorded
+     * @param {Array} movers - Player index of each action
+     * @param {Object} options - { searchTime (seconds), playouts } per position, and optionally
+     *   confirmAbove and confirmPlayouts: a drop in the mover's win rate above confirmAbove is
+     *   played out again up to confirmPlayouts per side
+     * @param {Function} onProgress - Optional, called with { phase: 'game', done (0-1), index, position }
+     * @returns {Promise<Object>} - { positions: [{ bestAction, isBest, actual, best, playouts }], timeMs }
+     *   where actual/best are playout win rates per player after the actual/preferred move
+     *   and playouts is { actual, best }, the finished playouts behind each
+     */
+    analyzeGame(states, actions, movers, options = {}, onProgress = null) {
+        return this.requestAnalysis({
+            type: 'ANALYZE_GAME',
+            states: states,
+            actions: actions,
+            movers: movers,
+            searchTime: options.searchTime,
+            playouts: options.playouts,
+            confirmAbove: options.confirmAbove,
+            confirmPlayouts: options.confirmPlayouts
+        }, onProgress);
+    }
+    
+    async requestAnalysis(message, onProgress) {
+        if (this.restarting) {
+            await this.restarting;
+        }
+        if (!this.isReady) {
+            throw new Error('AI Worker not initialized');
+        }
+        if (!this.useWorker) {
+            throw new Error('Analysis needs Web Worker support');
+        }
+        
+        const requestId = `ai_request_${this.requestIdCounter++}`;
+        const promise = new Promise((resolve, reject) => {
+            // Playouts take much longer than a normal move; a whole game takes minutes
+            const timeout = setTimeout(() => {
+                this.pendingRequests.delete(requestId);
+                reject(new Error('Analysis timeout'));
+            }, message.type === 'ANALYZE_GAME' ? 1800000 : 120000);
+            
+            this.pendingRequests.set(requestId, {
+                resolve,
+                reject,
+                timeout,
+                onProgress
+            });
         });
         
+        this.worker.postMessage({ ...message, id: requestId });
+        
         return promise;
     }
     
@@ -156,9 +255,15 @@ class AIWorkerProxy {
      * Fallback: Compute AI action on main thread
      */
     getAIActionFallback(gameState, playerId) {
-        return new Promise((resolve) => {
+        return new Promise((resolve, reject) => {
+            const request = { reject };
+            this.fallbackRequest = request;
+            
             // Use setTimeout to yield to event loop
             setTimeout(() => {
+                // Cancelled before it started
+                if (this.fallbackRequest !== request) return;
+                
                 // This will still block, but at least UI gets one frame
                 const stateJSON = JSON.stringify(gameState);
                 // We need to use the selectActionForEngine method if we have the wrapper,
@@ -189,6 +294,7 @@ class AIWorkerProxy {
                     this.fallbackWasm.aiEngine.selectActionJSONDebug(stateJSON, playerId) :
                     this.fallbackWasm.aiEngine.selectActionJSON(stateJSON, playerId);
                 const action = JSON.parse(actionJSON);
+                this.fallbackRequest = null;
                 resolve(action);
             }, 10);
         });
@@ -205,6 +311,10 @@ class AIWorkerProxy {
                 this.handleActionResult(message);
                 break;
                 
+            case 'ANALYSIS_RESULT':
+                this.handleAnalysisResult(message);
+                break;
+                
             case 'AI_ERROR':
                 this.handleActionError(message);
                 break;
@@ -222,6 +332,51 @@ class AIWorkerProxy {
         }
     }
     
+    /**
+     * Abort every search in flight; their promises reject with an error whose
+     * `cancelled` flag is set. A worker busy in a search cannot be interrupted, so it is
+     * replaced by a fresh one; requests made meanwhile wait for it.
+     */
+    cancel() {
+        const wasSearching = this.pendingRequests.size > 0;
+        for (const request of this.pendingRequests.values()) {
+            clearTimeout(request.timeout);
+            request.reject(AIWorkerProxy.cancelledError());
+        }
+        this.pendingRequests.clear();
+        
+        if (this.fallbackRequest) {
+            this.fallbackRequest.reject(AIWorkerProxy.cancelledError());
+            this.fallbackRequest = null;
+        }
+        
+        if (wasSearching && this.useWorker && this.worker) {
+            this.restart();
+        }
+    }
+    
+    /**
+     * Make the move search in flight stop now and return the best move of its search tree
+     */
+    moveNow() {
+        if (!this.canMoveNow() || this.pendingRequests.size === 0) return;
+        Atomics.store(this.moveNowFlag, 0, 1);
+    }
+    
+    /**
+     * Whether moveNow() can cut a search short (it needs a worker and shared memory;
+     * the main-thread fallback blocks until done)
+     */
+    canMoveNow() {
+        return this.useWorker && this.isReady && !!this.moveNowFlag;
+    }
+    
+    static cancelledError() {
+        const error = new Error('AI computation cancelled');
+        error.cancelled = true;
+        return error;
+    }
+    
     /**
      * Handle successful action result
      */
@@ -239,6 +394,18 @@ class AIWorkerProxy {
         }
     }
     
+    /**
+     * Handle position analysis result
+     */
+    handleAnalysisResult(message) {
+        const request = this.pendingRequests.get(message.id);
+        if (request) {
+            clearTimeout(request.timeout);
+            this.pendingRequests.delete(message.id);
+            request.resolve(message.analysis);
+        }
+    }
+    
     /**
      * Handle error from worker
      */
@@ -255,7 +422,13 @@ class AIWorkerProxy {
      * Handle progress update
      */
     handleProgress(message) {
-        if (this.progressCallback) {
+        // A cancelled request may still have progress on its way
+        const request = this.pendingRequests.get(message.id);
+        if (!request) return;
+        
+        if (request.onProgress) {
+            request.onProgress(message.progress);
+        } else if (this.progressCallback) {
             this.progressCallback(message.progress);
         }
     }
@@ -278,15 +451,26 @@ class AIWorkerProxy {
     }
     
     /**
-     * Restart worker after crash
+     * Replace the worker (after a crash or to abort a search)
+     * @returns {Promise<void>} Resolves once the new worker is ready
      */
-    async restart() {
+    restart() {
+        if (!this.restarting) {
+            this.restarting = this.reinitialize().finally(() => {
+                this.restarting = null;
+            });
+        }
+        return this.restarting;
+    }
+    
+    async reinitialize() {
         console.log('Restarting AI Worker...');
         this.terminate();
         this.isReady = false;
         
         try {
             await this.initialize();
+            this.setDebugMode(this.debugMode);
         } catch (error) {
             console.error('Failed to restart worker:', error);
             this.useWorker = false;
@@ -349,7 +533,10 @@ class AIWorkerProxy {
     
     /**
      * Set progress callback
-     * @param {Function} callback - Called with progress (0-100)
+     * @param {Function} callback - Called during a worker move search with
+     *   { iterations, elapsedMs, timeLimitMs, iterationLimit }; iterations is an estimate
+     *   from the engine's clock checks (it reports no count of its own until the search ends)
+     *   (analysis requests report to their own callback instead)
      */
     onProgress(callback) {
         this.progressCallback = callback;
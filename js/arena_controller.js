@@ -365,7 +365,7 @@ class ArenaController {
             const gamesPlayed = results.gamesPlayed[idx];
             const total = wins + losses;
             const winRate = total > 0 ? wins / total : 0;
-            const avgWinTurns = results.avgWinTurns[idx] > 0 ? results.avgWinTurns[idx].toFixed(1) : 'N/A';
+            const avgWinTurns = results.avgWinTurns[idx] > 0 ? results.avgWinTurns[idx] : null;
             
             // Calculate Margin of Error (95% confidence interval)
             // MDE = 1.96 * sqrt(p * (1-p) / n)
@@ -382,11 +382,12 @@ class ArenaController {
                 wins,
                 losses,
                 gamesPlayed,
-                winRate: (winRate * 100).toFixed(1),
-                mde: mde.toFixed(1),
-                avgPoints: results.avgPointsScored[idx].toFixed(1),
-                avgGameLength: results.avgGameLength[idx].toFixed(1),
-                avgWinTurns: avgWinTurns
+                // Plain numbers (percentages for winRate and mde); the UI formats them for the locale
+                winRate: winRate * 100,
+                mde: mde,
+                avgPoints: results.avgPointsScored[idx],
+                avgGameLength: results.avgGameLength[idx],
+                avgWinTurns: avgWinTurns // null until the bot has won
             };
         });
     }
@@ -4,8 +4,10 @@ class ArenaUIManager {
         this.modal = null;
         this.botEditorModal = null;
         this.currentEditIndex = -1;
+        this.stats = null; // Last table shown in the results section
         
         this.initUI();
+        I18n.onChange(() => this.translate());
     }
     
     initUI() {
@@ -29,6 +31,29 @@ class ArenaUIManager {
         
         // Run tournament button
         document.getElementById('run-tournament-btn').onclick = () => this.runTournament();
+        
+        this.translate();
+    }
+    
+    /**
+     * Text of the generated modals in the current language; the static labels carry
+     * data-i18n keys, the rest is rendered again
+     */
+    translate() {
+        I18n.translatePage(this.modal);
+        I18n.translatePage(this.botEditorModal);
+        document.getElementById('global-iterations-hint').textContent =
+            I18n.t('arena.iterationsHint', { limit: ArenaUIManager.DEFAULT_ITERATIONS });
+        document.getElementById('global-time-hint').textContent =
+            I18n.t('arena.timeLimitHint', { seconds: ArenaUIManager.DEFAULT_TIME_LIMIT });
+        if (this.botEditorModal.style.display === 'flex') {
+            document.getElementById('bot-editor-title').textContent =
+                I18n.t(this.currentEditIndex === -1 ? 'arena.addBotHeading' : 'arena.editBotHeading');
+        }
+        this.renderBotList();
+        if (this.stats) {
+            this.renderStatsTable(this.stats);
+        }
     }
     
     createArenaModal() {
@@ -40,44 +65,44 @@ class ArenaUIManager {
         modal.innerHTML = `
             <div class="arena-content">
                 <div class="arena-header">
-                    <h2>Bot Arena</h2>
+                    <h2 data-i18n="arena.title">Bot Arena</h2>
                     <button class="close-btn">&times;</button>
                 </div>
                 <div id="arena-body">
                     <div class="arena-section">
-                        <h3>Bots</h3>
+                        <h3 data-i18n="arena.bots">Bots</h3>
                         <div id="bot-list"></div>
-                        <button id="add-bot-btn" class="action-btn">+ Add Bot</button>
+                        <button id="add-bot-btn" class="action-btn" data-i18n="arena.addBot">+ Add Bot</button>
                     </div>
                     
                     <div class="arena-section">
-                        <h3>Tournament Settings</h3>
+                        <h3 data-i18n="arena.settings">Tournament Settings</h3>
                         <div class="form-group">
-                            <label>Games per Matchup:</label>
+                            <label data-i18n="arena.gamesPerMatchup">Games per Matchup:</label>
                             <input type="number" id="games-per-matchup" value="10" min="1" max="100">
                         </div>
                         <div class="form-group">
-                            <label>Worker Threads:</label>
+                            <label data-i18n="arena.workers">Worker Threads:</label>
                             <input type="number" id="worker-count" value="8" min="1" max="16">
-                            <small style="color: #888;">More threads = faster execution (recommended: 4-8)</small>
+                            <small data-i18n="arena.workersHint">More threads = faster execution (recommended: 4-8)</small>
                         </div>
                         
-                        <h4 style="margin-top: 15px; margin-bottom: 10px; color: #aaa;">Global Bot Settings</h4>
+                        <h4 data-i18n="arena.globalSettings">Global Bot Settings</h4>
                         <div class="form-group">
-                            <label>Iterations Limit (per move):</label>
-                            <input type="number" id="global-iterations-limit" value="100000" min="1000" max="10000000" step="1000">
-                            <small style="color: #888;">MCTS iterations limit for all bots (default: 100,000)</small>
+                            <label data-i18n="arena.iterations">Iterations Limit (per move):</label>
+                            <input type="number" id="global-iterations-limit" value="${ArenaUIManager.DEFAULT_ITERATIONS}" min="1000" max="10000000" step="1000">
+                            <small id="global-iterations-hint"></small>
                         </div>
                         <div class="form-group">
-                            <label>Time Limit (seconds per move):</label>
-                            <input type="number" id="global-time-limit" value="2.5" min="0.1" max="60" step="0.1">
-                            <small style="color: #888;">Time limit for all bots (default: 2.5s)</small>
+                            <label data-i18n="arena.timeLimit">Time Limit (seconds per move):</label>
+                            <input type="number" id="global-time-limit" value="${ArenaUIManager.DEFAULT_TIME_LIMIT}" min="0.1" max="60" step="0.1">
+                            <small id="global-time-hint"></small>
                         </div>
                         
-                        <button id="run-tournament-btn" class="primary-btn">Run Tournament</button>
+                        <button id="run-tournament-btn" class="primary-btn" data-i18n="arena.run">Run Tournament</button>
                         <div id="tournament-progress" class="hidden">
                             <div class="progress-info">
-                                <span id="progress-text">Running tournament...</span>
+                                <span id="progress-text" data-i18n="arena.running">Running tournament...</span>
                             </div>
                             <div class="progress-bar-container">
                                 <div id="progress-bar" class="progress-bar"></div>
@@ -89,7 +114,7 @@ class ArenaUIManager {
                     </div>
                     
                     <div class="arena-section" id="results-section" style="display: none;">
-                        <h3>Results</h3>
+                        <h3 data-i18n="arena.results">Results</h3>
                         <div id="results-container"></div>
                     </div>
                 </div>
@@ -108,72 +133,72 @@ class ArenaUIManager {
         modal.innerHTML = `
             <div class="modal-content bot-editor-content">
                 <div class="arena-header">
-                    <h2 id="bot-editor-title">Edit Bot</h2>
+                    <h2 id="bot-editor-title" data-i18n="arena.editBotHeading">Edit Bot</h2>
                     <button class="close-btn">&times;</button>
                 </div>
                 <div class="form-group">
-                    <label>Name:</label>
+                    <label data-i18n="arena.name">Name:</label>
                     <input type="text" id="bot-name">
                 </div>
                 <div class="form-group">
-                    <label>Profile:</label>
+                    <label data-i18n="arena.profile">Profile:</label>
                     <select id="bot-profile">
-                        <option value="Balanced">Balanced</option>
-                        <option value="Aggressive">Aggressive</option>
-                        <option value="Economic">Economic</option>
-                        <option value="Flexible">Flexible</option>
-                        <option value="Custom">Custom</option>
+                        <option value="Balanced" data-i18n="arena.profile.Balanced">Balanced</option>
+                        <option value="Aggressive" data-i18n="arena.profile.Aggressive">Aggressive</option>
+                        <option value="Economic" data-i18n="arena.profile.Economic">Economic</option>
+                        <option value="Flexible" data-i18n="arena.profile.Flexible">Flexible</option>
+                        <option value="Custom" data-i18n="arena.profile.Custom">Custom</option>
                     </select>
                 </div>
                 
                 <div id="custom-settings" style="display: none;">
-                    <h4 style="margin-top: 15px; margin-bottom: 10px; color: #aaa;">MCTS Parameters</h4>
+                    <h4 data-i18n="arena.mcts">MCTS Parameters</h4>
                     <div class="form-group">
-                        <label>Exploration Parameter:</label>
+                        <label data-i18n="arena.exploration">Exploration Parameter:</label>
                         <input type="number" id="bot-exploration" step="0.1" value="24.1" min="0">
                     </div>
                     
-                    <h4 style="margin-top: 15px; margin-bottom: 10px; color: #aaa;">Score Weights</h4>
+                    <h4 data-i18n="arena.scoreWeights">Score Weights</h4>
                     
                     <div class="form-group">
-                        <label>VP Weights (16 values, 0-15 points):</label>
+                        <label data-i18n="arena.vpWeights">VP Weights (16 values, 0-15 points):</label>
                         <input type="text" id="bot-vp-weights" value="0,10,20,30,40,60,80,200,500,700,900,1500,2000,3000,10000,100000" style="font-size: 0.85em;">
-                        <small style="color: #888;">Comma-separated values for 0-15 victory points</small>
+                        <small data-i18n="arena.vpWeightsHint">Comma-separated values for 0-15 victory points</small>
                     </div>
                     
                     <div class="form-group">
-                        <label>Gem Weights (23 values, 0-22 gems):</label>
+                        <label data-i18n="arena.gemWeights">Gem Weights (23 values, 0-22 gems):</label>
                         <input type="text" id="bot-gem-weights" value="0,10,19,27,34,40,45,49,52,55,57,59,60,61,62,63,64,65,66,67,68,69,70" style="font-size: 0.85em;">
-                        <small style="color: #888;">Comma-separated values for 0-22 gems</small>
+                        <small data-i18n="arena.gemWeightsHint">Comma-separated values for 0-22 gems</small>
                     </div>
                     
                     <div class="weights-grid">
                         <div class="form-group">
-                            <label>Demand Multiplier:</label>
+                            <label data-i18n="arena.demandMultiplier">Demand Multiplier:</label>
                             <input type="number" id="bot-demand-mult" step="0.1" value="-1.0">
                         </div>
                         <div class="form-group">
-                            <label>Bonus Multiplier:</label>
+                            <label data-i18n="arena.bonusMultiplier">Bonus Multiplier:</label>
                             <input type="number" id="bot-bonus-mult" step="0.1" value="18.0">
                         </div>
                         <div class="form-group">
-                            <label>Gem Multiplier:</label>
+                            <label data-i18n="arena.gemMultiplier">Gem Multiplier:</label>
                             <input type="number" id="bot-gem-mult" step="0.1" value="0.5">
                         </div>
                         <div class="form-group">
-                            <label>Win Reward:</label>
+                            <label data-i18n="arena.winReward">Win Reward:</label>
                             <input type="number" id="bot-win-reward" step="1000" value="100000">
                         </div>
                         <div class="form-group">
-                            <label>Loss Reward:</label>
+                            <label data-i18n="arena.lossReward">Loss Reward:</label>
                             <input type="number" id="bot-loss-reward" step="1000" value="-100000">
                         </div>
                     </div>
                 </div>
                 
                 <div class="editor-actions">
-                    <button id="save-bot-btn" class="primary-btn">Save</button>
-                    <button id="cancel-bot-btn" class="secondary-btn">Cancel</button>
+                    <button id="save-bot-btn" class="primary-btn" data-i18n="arena.save">Save</button>
+                    <button id="cancel-bot-btn" class="secondary-btn" data-i18n="action.cancel">Cancel</button>
                 </div>
             </div>
         `;
@@ -204,7 +229,7 @@ class ArenaUIManager {
         container.innerHTML = '';
         
         if (this.controller.bots.length === 0) {
-            container.innerHTML = '<p class="empty-message">No bots added yet.</p>';
+            container.innerHTML = `<p class="empty-message">${I18n.t('arena.noBots')}</p>`;
             return;
         }
         
@@ -214,11 +239,11 @@ class ArenaUIManager {
             item.innerHTML = `
                 <div class="bot-info">
                     <strong>${bot.name}</strong>
-                    <span class="bot-profile-badge">${bot.isProfile ? bot.profile : 'Custom'}</span>
+                    <span class="bot-profile-badge">${I18n.t(`arena.profile.${bot.isProfile ? bot.profile : 'Custom'}`)}</span>
                 </div>
                 <div class="bot-actions">
-                    <button class="icon-btn edit-bot-btn" data-index="${index}">✎</button>
-                    <button class="icon-btn remove-bot-btn" data-index="${index}">×</button>
+                    <button class="icon-btn edit-bot-btn" data-index="${index}" title="${I18n.t('arena.editBotTitle')}">✎</button>
+                    <button class="icon-btn remove-bot-btn" data-index="${index}" title="${I18n.t('arena.removeBotTitle')}">×</button>
                 </div>
             `;
             container.appendChild(item);
@@ -249,14 +274,14 @@ class ArenaUIManager {
         
         if (index === -1) {
             // New bot
-            title.textContent = 'Add Bot';
-            nameInput.value = `Bot ${this.controller.bots.length + 1}`;
+            title.textContent = I18n.t('arena.addBotHeading');
+            nameInput.value = I18n.t('arena.defaultBotName', { number: this.controller.bots.length + 1 });
             profileSelect.value = 'Balanced';
             customSettings.style.display = 'none';
         } else {
             // Edit bot
             const bot = this.controller.bots[index];
-            title.textContent = 'Edit Bot';
+            title.textContent = I18n.t('arena.editBotHeading');
             nameInput.value = bot.name;
             
             if (bot.isProfile) {
@@ -305,7 +330,7 @@ class ArenaUIManager {
             const vpWeightsStr = document.getElementById('bot-vp-weights').value;
             const vpWeights = vpWeightsStr.split(',').map(v => parseFloat(v.trim()));
             if (vpWeights.length !== 16) {
-                alert('VP Weights must have exactly 16 values (0-15 points)');
+                alert(I18n.t('arena.vpWeightsError'));
                 return;
             }
             
@@ -313,7 +338,7 @@ class ArenaUIManager {
             const gemWeightsStr = document.getElementById('bot-gem-weights').value;
             const gemWeights = gemWeightsStr.split(',').map(v => parseFloat(v.trim()));
             if (gemWeights.length !== 23) {
-                alert('Gem Weights must have exactly 23 values (0-22 gems)');
+                alert(I18n.t('arena.gemWeightsError'));
                 return;
             }
             
@@ -368,7 +393,7 @@ class ArenaUIManager {
         this.renderLiveResults();
         
         // Initialize progress display
-        document.getElementById('progress-matches').textContent = `0 / ${totalGames} games`;
+        document.getElementById('progress-matches').textContent = I18n.t('arena.progress', { done: 0, count: totalGames });
         document.getElementById('progress-bar').style.width = '0%';
         
         try {
@@ -376,7 +401,8 @@ class ArenaUIManager {
             const progressCallback = (completedGames, totalGames) => {
                 const percentage = (completedGames / totalGames * 100).toFixed(1);
                 document.getElementById('progress-bar').style.width = `${percentage}%`;
-                document.getElementById('progress-matches').textContent = `${completedGames} / ${totalGames} games`;
+                document.getElementById('progress-matches').textContent =
+                    I18n.t('arena.progress', { done: completedGames, count: totalGames });
             };
             
             // Stats callback for table updates (called when game results arrive)
@@ -388,12 +414,13 @@ class ArenaUIManager {
             
             // Update to 100%
             document.getElementById('progress-bar').style.width = '100%';
-            document.getElementById('progress-matches').textContent = `${totalGames} / ${totalGames} games`;
+            document.getElementById('progress-matches').textContent =
+                I18n.t('arena.progress', { done: totalGames, count: totalGames });
             
             // Final render with complete results
             this.renderResults(results);
         } catch (e) {
-            alert("Tournament failed: " + e.message);
+            alert(I18n.t('arena.failed', { message: e.message }));
             console.error(e);
         } finally {
             progress.classList.add('hidden');
@@ -417,18 +444,22 @@ class ArenaUIManager {
     
     renderStatsTable(stats) {
         const container = document.getElementById('results-container');
+        this.stats = stats;
+        // One decimal, with the locale's separators
+        const decimal = (value) => I18n.formatNumber(value, { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+        const percent = (value) => I18n.formatNumber(value / 100, { style: 'percent', minimumFractionDigits: 1, maximumFractionDigits: 1 });
         
         let html = `
             <table class="results-table">
                 <thead>
                     <tr>
-                        <th>Bot Name</th>
-                        <th>Games</th>
-                        <th>Win Rate</th>
-                        <th>MDE (±%)</th>
-                        <th>Avg Win Turns</th>
-                        <th>Avg Points</th>
-                        <th>Avg Turns</th>
+                        <th>${I18n.t('arena.column.name')}</th>
+                        <th>${I18n.t('arena.column.games')}</th>
+                        <th>${I18n.t('arena.column.winRate')}</th>
+                        <th>${I18n.t('arena.column.mde')}</th>
+                        <th>${I18n.t('arena.column.winTurns')}</th>
+                        <th>${I18n.t('arena.column.points')}</th>
+                        <th>${I18n.t('arena.column.turns')}</th>
                     </tr>
                 </thead>
                 <tbody>
@@ -438,17 +469,17 @@ class ArenaUIManager {
             html += `
                 <tr>
                     <td><strong>${s.name}</strong></td>
-                    <td>${s.gamesPlayed}</td>
+                    <td>${I18n.formatNumber(s.gamesPlayed)}</td>
                     <td>
                         <div class="winrate-container">
-                            <div class="winrate-bar" style="width: ${s.winRate}%"></div>
-                            <span>${s.winRate}%</span>
+                            <div class="winrate-bar" style="width: ${s.winRate.toFixed(1)}%"></div>
+                            <span>${percent(s.winRate)}</span>
                         </div>
                     </td>
-                    <td>±${s.mde}%</td>
-                    <td>${s.avgWinTurns}</td>
-                    <td>${s.avgPoints}</td>
-                    <td>${s.avgGameLength}</td>
+                    <td>±${percent(s.mde)}</td>
+                    <td>${s.avgWinTurns === null ? I18n.t('arena.notAvailable') : decimal(s.avgWinTurns)}</td>
+                    <td>${decimal(s.avgPoints)}</td>
+                    <td>${decimal(s.avgGameLength)}</td>
                 </tr>
             `;
         });
@@ -462,4 +493,7 @@ class ArenaUIManager {
         
         container.innerHTML = html;
     }
-}
\ No newline at end of file
+}
+
+ArenaUIManager.DEFAULT_ITERATIONS = 100000;
+ArenaUIManager.DEFAULT_TIME_LIMIT = 2.5;
\ No newline at end of file
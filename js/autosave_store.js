@@ -0,0 +1,74 @@
+/**
+ * AutosaveStore - Keeps the game in progress in localStorage so a reload can resume it
+ * A save holds the game record (initial state, lineup, actions and discards), the exact
+ * engine state and the undone moves waiting to be redone. Saves from a newer version
+ * or that fail to parse are treated as absent.
+ */
+class AutosaveStore {
+    constructor(storage = null) {
+        this.storage = storage || AutosaveStore.getLocalStorage();
+    }
+
+    /**
+     * localStorage, or null where it is unavailable (private mode, sandboxed frames)
+     */
+    static getLocalStorage() {
+        try {
+            return window.localStorage;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * @param {Object} data - { record (GameRecord JSON), state, redo: [{ entry, state }] }
+     * @returns {boolean} Whether the save was written
+     */
+    save(data) {
+        if (!this.storage) return false;
+        try {
+            this.storage.setItem(AutosaveStore.KEY, JSON.stringify({
+                version: AutosaveStore.VERSION,
+                savedAt: new Date().toISOString(),
+                ...data
+            }));
+            return true;
+        } catch (error) {
+            // Quota exceeded: keep playing without autosave
+            console.warn('Autosave failed:', error);
+            return false;
+        }
+    }
+
+    /**
+     * @returns {Object|null} The last save, or null if there is none usable
+     */
+    load() {
+        if (!this.storage) return null;
+        try {
+            const text = this.storage.getItem(AutosaveStore.KEY);
+            if (!text) return null;
+
+            const data = JSON.parse(text);
+            if (data.version > AutosaveStore.VERSION || !data.record || !data.state) {
+                return null;
+            }
+            return data;
+        } catch (error) {
+            console.warn('Ignoring unreadable autosave:', error);
+            return null;
+        }
+    }
+
+    clear() {
+        if (!this.storage) return;
+        try {
+            this.storage.removeItem(AutosaveStore.KEY);
+        } catch (error) {
+            console.warn('Failed to clear autosave:', error);
+        }
+    }
+}
+
+AutosaveStore.KEY = 'zsplendor-autosave';
+AutosaveStore.VERSION = 1;
\ No newline at end of file
@@ -0,0 +1,100 @@
+/**
+ * CardAffordability - How far a player is from buying a card
+ * Whether the card can be bought, and the payment, come from the engine's legal PURCHASE
+ * action for it (colored gems first, then gold for the rest); only the shortfall of a card
+ * the player cannot buy yet and the turn estimate are worked out here. The estimate is a
+ * best case: it assumes the pool always has the colors needed and ignores the 10-gem
+ * limit and the other players.
+ */
+class CardAffordability {
+    /**
+     * @param {Object} player - Player from the state JSON (gems, bonuses)
+     * @param {Object} card - Card from the state JSON
+     * @param {Object} purchaseAction - The engine's legal purchase of the card for the player, or null
+     * @returns {Object} { affordable, payment, goldUsed, shortfall, missing, turns }
+     *   shortfall: gems lacking per color before gold; missing: total still lacking after gold
+     */
+    static analyze(player, card, purchaseAction) {
+        if (purchaseAction) {
+            return {
+                affordable: true,
+                payment: { ...purchaseAction.payment },
+                goldUsed: purchaseAction.payment.gold,
+                shortfall: {},
+                missing: 0,
+                turns: 0
+            };
+        }
+
+        const shortfall = {};
+        let totalShortfall = 0;
+        CardAffordability.COLORS.forEach(color => {
+            const needed = Math.max(0, (card.cost[color] || 0) - (player.bonuses[color] || 0));
+            if (needed > player.gems[color]) {
+                shortfall[color] = needed - player.gems[color];
+                totalShortfall += shortfall[color];
+            }
+        });
+
+        const goldUsed = Math.min(totalShortfall, player.gems.gold);
+        return {
+            affordable: false,
+            payment: null,
+            goldUsed: goldUsed,
+            shortfall: shortfall,
+            missing: totalShortfall - goldUsed,
+            turns: CardAffordability.turnsToCover(shortfall, player.gems.gold)
+        };
+    }
+
+    /**
+     * Fewest gem-taking turns to cover the shortfall, when each turn takes either two gems
+     * of one color or one gem each of up to three colors and gold covers any color
+     */
+    static turnsToCover(shortfall, gold) {
+        const start = CardAffordability.COLORS.map(color => shortfall[color] || 0);
+        const memo = new Map();
+
+        const search = (deficit) => {
+            const total = deficit.reduce((sum, count) => sum + count, 0);
+            if (total <= gold) return 0;
+
+            const key = deficit.join(',');
+            if (memo.has(key)) return memo.get(key);
+
+            let best = Infinity;
+            const short = [];
+            deficit.forEach((count, index) => {
+                if (count === 0) return;
+                short.push(index);
+                const next = deficit.slice();
+                next[index] = Math.max(0, count - 2);
+                best = Math.min(best, 1 + search(next));
+            });
+            // One of each of up to three colors (taking colors not needed never helps)
+            CardAffordability.combinations(short, Math.min(3, short.length)).forEach(colors => {
+                const next = deficit.slice();
+                colors.forEach(index => next[index]--);
+                best = Math.min(best, 1 + search(next));
+            });
+
+            memo.set(key, best);
+            return best;
+        };
+
+        return search(start);
+    }
+
+    static combinations(items, size) {
+        if (size === 0) return [[]];
+        const result = [];
+        items.forEach((item, index) => {
+            CardAffordability.combinations(items.slice(index + 1), size - 1)
+                .forEach(rest => result.push([item].concat(rest)));
+        });
+        return result;
+    }
+}
+
+// Gold is no color of its own: it stands in for any of these
+CardAffordability.COLORS = WasmInterface.GEM_KEYS.filter(color => color !== 'gold');
\ No newline at end of file
@@ -0,0 +1,27 @@
+/**
+ * CrossOriginIsolation - Makes the page cross-origin isolated where the server does not
+ * Registers coi-serviceworker.js, which adds the COOP/COEP headers that SharedArrayBuffer
+ * (and with it the AI's "move now") needs, and reloads once when the worker first takes
+ * over the page. Without a service worker (file://, plain http off localhost, old
+ * browsers) the page runs as before and the Move now button explains why it is disabled.
+ */
+class CrossOriginIsolation {
+    static ensure() {
+        if (window.crossOriginIsolated || !window.isSecureContext || !('serviceWorker' in navigator)) return;
+
+        navigator.serviceWorker.register(CrossOriginIsolation.WORKER_PATH).then(() => {
+            // A page the worker already serves is as isolated as this browser allows; no reload loop
+            if (navigator.serviceWorker.controller || sessionStorage.getItem(CrossOriginIsolation.RELOAD_KEY)) return;
+
+            sessionStorage.setItem(CrossOriginIsolation.RELOAD_KEY, '1');
+            navigator.serviceWorker.ready.then(() => window.location.reload());
+        }).catch(error => {
+            console.warn('Cross-origin isolation unavailable:', error);
+        });
+    }
+}
+
+CrossOriginIsolation.WORKER_PATH = 'coi-serviceworker.js';
+CrossOriginIsolation.RELOAD_KEY = 'zsplendor-coi-reloaded';
+
+CrossOriginIsolation.ensure();
\ No newline at end of file
@@ -0,0 +1,73 @@
+/**
+ * DifficultyPresets - Named AI levels offered for each AI seat (Beginner to Master)
+ * A level fixes how long the AI searches (iterations and seconds per move), which engine
+ * profile it searches with (the AIDifficulty of the WASM engine, which brings its own
+ * exploration and evaluation settings) and how often it plays a random legal move instead
+ * of the searched one, which gives the lower levels mistakes a casual player can punish.
+ * The engine's exploration constant and evaluation weights themselves can only be tuned
+ * for arena bots (ArenaWrapper); the in-game AIEngine exposes just these knobs.
+ * The "custom" level keeps the seat's own time limit and the iteration limit from settings.
+ */
+class DifficultyPresets {
+    /**
+     * @returns {Object|null} The preset, null for custom or unknown levels
+     */
+    static get(id) {
+        return DifficultyPresets.PRESETS.find(preset => preset.id === id) || null;
+    }
+
+    /**
+     * @returns {Array} { id, name } of every level, custom last
+     */
+    static getLevels() {
+        return DifficultyPresets.PRESETS.map(preset => preset.id)
+            .concat(DifficultyPresets.CUSTOM)
+            .map(id => ({ id, name: DifficultyPresets.getName(id) }));
+    }
+
+    static getName(id) {
+        return I18n.t(`difficulty.${DifficultyPresets.get(id) ? id : DifficultyPresets.CUSTOM}`);
+    }
+
+    /**
+     * Fill in the search budget of an AI seat chosen in the setup modal
+     * @param {Object} seat - { type, name, timeLimit, level }; gets timeLimit and difficulty
+     * @param {number} iterationLimit - Iterations for a custom seat
+     */
+    static applyToSeat(seat, iterationLimit) {
+        const preset = DifficultyPresets.get(seat.level);
+        if (preset) {
+            seat.timeLimit = preset.timeLimit;
+            seat.difficulty = preset.iterations;
+        } else {
+            seat.level = DifficultyPresets.CUSTOM;
+            seat.difficulty = iterationLimit;
+        }
+    }
+
+    /**
+     * Settings for an AI request on behalf of a seat (seats of older records have no level)
+     * @returns {Object} { timeLimit, difficulty, engineLevel, randomMoveRate }
+     */
+    static searchSettings(seat) {
+        const preset = DifficultyPresets.get(seat.level);
+        return {
+            timeLimit: seat.timeLimit,
+            difficulty: seat.difficulty,
+            engineLevel: preset ? preset.engineLevel : null, // null: derived from the iterations
+            randomMoveRate: preset ? preset.randomMoveRate : 0
+        };
+    }
+}
+
+DifficultyPresets.CUSTOM = 'custom';
+DifficultyPresets.DEFAULT = 'advanced'; // The search budget the AI had before levels existed
+
+// engineLevel: AIDifficulty key; randomMoveRate: share of moves picked at random
+DifficultyPresets.PRESETS = [
+    { id: 'beginner', iterations: 1000, timeLimit: 0.5, engineLevel: 'EASY', randomMoveRate: 0.3 },
+    { id: 'casual', iterations: 10000, timeLimit: 1, engineLevel: 'MEDIUM', randomMoveRate: 0.15 },
+    { id: 'intermediate', iterations: 100000, timeLimit: 1.5, engineLevel: 'HARD', randomMoveRate: 0.05 },
+    { id: 'advanced', iterations: 5000000, timeLimit: 2.5, engineLevel: 'HARD', randomMoveRate: 0 },
+    { id: 'master', iterations: 20000000, timeLimit: 8, engineLevel: 'HARD', randomMoveRate: 0 }
+];
\ No newline at end of file
@@ -0,0 +1,207 @@
+/**
+ * DiscardAssistant - Dialog for returning gems above the 10-gem limit in one go
+ * The player sets how many of each color to return with steppers, sees which cards
+ * the kept gems still buy and can ask for the discard the engine would make itself.
+ * Confirmed discards are applied through GameController.applyDiscards, which records
+ * them with the move that caused them (so undo/redo include them).
+ */
+class DiscardAssistant {
+    constructor(gameController) {
+        this.game = gameController;
+        this.playerIndex = -1;
+        this.toDiscard = 0;
+        this.choice = {}; // Gems to return per color key
+        this.actionCount = -1; // Length of the game record the dialog was opened for
+        this.scratch = null; // Scratch engine for affordability and suggestions, while open
+        this.elements = {};
+    }
+
+    init() {
+        this.elements = {
+            modal: document.getElementById('gem-discard-modal'),
+            message: document.getElementById('discard-message'),
+            options: document.getElementById('discard-gem-options'),
+            affordable: document.getElementById('discard-affordable'),
+            resetBtn: document.getElementById('discard-reset-btn'),
+            suggestBtn: document.getElementById('discard-suggest-btn'),
+            undoBtn: document.getElementById('discard-undo-btn'),
+            confirmBtn: document.getElementById('discard-confirm-btn')
+        };
+
+        this.elements.options.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-color]');
+            if (button && !button.disabled) {
+                this.adjust(button.getAttribute('data-color'), parseInt(button.getAttribute('data-delta')));
+            }
+        });
+        this.elements.resetBtn.addEventListener('click', () => this.reset());
+        this.elements.suggestBtn.addEventListener('click', () => this.suggest());
+        this.elements.undoBtn.addEventListener('click', () => this.game.undoAction());
+        this.elements.confirmBtn.addEventListener('click', () => this.confirm());
+    }
+
+    isOpen() {
+        return this.elements.modal.style.display === 'flex';
+    }
+
+    /**
+     * Show the dialog for the pending discard (keeps the choice when it is already open for it)
+     */
+    open() {
+        const game = this.game;
+        const actionCount = game.gameRecord ? game.gameRecord.actions.length : -1;
+        if (this.isOpen() && this.actionCount === actionCount) {
+            this.render();
+            return;
+        }
+
+        this.playerIndex = game.wasm.getDiscardingPlayer();
+        this.actionCount = actionCount;
+        const gems = game.state.players[this.playerIndex].gems;
+        this.toDiscard = WasmInterface.GEM_KEYS.reduce((sum, color) => sum + gems[color], 0) - DiscardAssistant.GEM_LIMIT;
+        this.reset();
+        this.elements.modal.style.display = 'flex';
+    }
+
+    close() {
+        this.elements.modal.style.display = 'none';
+        this.actionCount = -1;
+        if (this.scratch) {
+            this.scratch.dispose();
+            this.scratch = null;
+        }
+    }
+
+    getScratch() {
+        if (!this.scratch) {
+            this.scratch = this.game.wasm.createScratch();
+        }
+        return this.scratch;
+    }
+
+    chosenCount() {
+        return WasmInterface.GEM_KEYS.reduce((sum, color) => sum + this.choice[color], 0);
+    }
+
+    adjust(color, delta) {
+        const held = this.game.state.players[this.playerIndex].gems[color];
+        const count = this.choice[color] + delta;
+        if (count < 0 || count > held || this.chosenCount() + delta > this.toDiscard) return;
+
+        this.choice[color] = count;
+        this.render();
+    }
+
+    reset() {
+        this.choice = {};
+        WasmInterface.GEM_KEYS.forEach(color => this.choice[color] = 0);
+        this.render();
+    }
+
+    /**
+     * Fill in the discard the engine makes for its own players: it replays the move
+     * that went over the limit with this seat played by the engine
+     */
+    suggest() {
+        const game = this.game;
+        const index = game.gameRecord.actions.length - 1;
+        const entry = game.gameRecord.actions[index];
+        const before = JSON.parse(JSON.stringify(game.stateHistory[index]));
+        before.players[this.playerIndex].isHuman = false;
+
+        const scratch = this.getScratch();
+        scratch.setGameState(before);
+        const suggestion = {};
+        if (scratch.executeAction(entry.action) && !scratch.needsGemDiscard()) {
+            const kept = scratch.getGameState().players[this.playerIndex].gems;
+            const held = game.state.players[this.playerIndex].gems;
+            WasmInterface.GEM_KEYS.forEach(color => suggestion[color] = Math.max(0, held[color] - kept[color]));
+        }
+
+        if (WasmInterface.GEM_KEYS.reduce((sum, color) => sum + (suggestion[color] || 0), 0) !== this.toDiscard) {
+            this.elements.affordable.textContent = I18n.t('discard.noSuggestion');
+            return;
+        }
+        this.choice = suggestion;
+        this.render();
+    }
+
+    confirm() {
+        if (this.chosenCount() !== this.toDiscard) return;
+
+        const GemColor = this.game.wasm.module.GemColor;
+        const colors = [];
+        WasmInterface.GEM_KEYS.forEach(color => {
+            for (let i = 0; i < this.choice[color]; i++) {
+                colors.push(GemColor[color.toUpperCase()].value);
+            }
+        });
+        this.game.applyDiscards(colors);
+    }
+
+    render() {
+        const { message, options, confirmBtn, undoBtn } = this.elements;
+        const player = this.game.state.players[this.playerIndex];
+        const chosen = this.chosenCount();
+        const remaining = this.toDiscard - chosen;
+
+        message.textContent = I18n.t('discard.over', {
+            name: player.name,
+            count: this.toDiscard + DiscardAssistant.GEM_LIMIT,
+            limit: DiscardAssistant.GEM_LIMIT
+        }) + ' ' + (remaining > 0 ?
+            I18n.t('discard.remaining', { count: remaining }) :
+            I18n.t('discard.chosen', { count: this.toDiscard }));
+
+        options.innerHTML = '';
+        WasmInterface.GEM_KEYS.forEach(color => {
+            const held = player.gems[color];
+            if (held === 0) return;
+
+            const item = document.createElement('div');
+            item.className = `discard-gem ${this.choice[color] > 0 ? 'chosen' : ''}`;
+            item.innerHTML = `
+                <div class="gem gem-${color}">${this.game.ui.colorSymbol(color)}</div>
+                <span>${I18n.t('discard.keep', { color: this.game.ui.colorName(color), kept: held - this.choice[color], held: held })}</span>
+                <div class="discard-stepper">
+                    <button data-color="${color}" data-delta="-1" ${this.choice[color] === 0 ? 'disabled' : ''}>−</button>
+                    <span class="discard-count">${this.choice[color]}</span>
+                    <button data-color="${color}" data-delta="1" ${this.choice[color] >= held || remaining === 0 ? 'disabled' : ''}>+</button>
+                </div>
+            `;
+            options.appendChild(item);
+        });
+
+        confirmBtn.disabled = remaining !== 0;
+        confirmBtn.textContent = I18n.t('discard.return', { count: this.toDiscard });
+        undoBtn.disabled = !this.game.canUndo();
+        this.renderAffordable();
+    }
+
+    /**
+     * Cards the kept gems (with bonuses) would buy, asked from the engine on a scratch copy
+     */
+    renderAffordable() {
+        const state = JSON.parse(JSON.stringify(this.game.state));
+        const player = state.players[this.playerIndex];
+        WasmInterface.GEM_KEYS.forEach(color => {
+            player.gems[color] -= this.choice[color];
+            state.gemPool[color] += this.choice[color];
+        });
+        state.currentPlayerIndex = this.playerIndex;
+
+        const scratch = this.getScratch();
+        scratch.setGameState(state);
+        const ActionType = this.game.wasm.module.ActionType;
+        const purchases = scratch.getLegalActions().filter(action =>
+            action.type === ActionType.PURCHASE_CARD.value || action.type === ActionType.PURCHASE_RESERVED.value);
+
+        const cards = player.reservedCards.concat(...state.visibleCards);
+        const names = purchases.map(action => this.game.ui.cardLabel(cards.find(card => card.id === action.cardId)));
+        this.elements.affordable.textContent = names.length > 0 ?
+            I18n.t('discard.canBuy', { cards: names.join(I18n.t('list.separator')) }) :
+            I18n.t('discard.cannotBuy');
+    }
+}
+
+DiscardAssistant.GEM_LIMIT = 10;
\ No newline at end of file
@@ -0,0 +1,321 @@
+/**
+ * GameAnalysis - Post-game report in the game-over modal
+ * Sends every recorded position to its own AI worker, which compares the move that
+ * was played with the engine's preferred move by the mover's win rate in playouts
+ * after each. Results stream in per move: an evaluation graph for all players and the
+ * worst moves of each player, each drop shown with its margin of error. A few playouts
+ * per move leave a lot of noise, so the worker plays more of them for any drop above
+ * BLUNDER_THRESHOLD, enough to bring its margin of error below the threshold; a move is
+ * then flagged as a blunder when its drop is above the threshold and its margin.
+ */
+class GameAnalysis {
+    constructor(gameController) {
+        this.game = gameController;
+        this.proxy = null; // Dedicated AIWorkerProxy, created on first use
+        this.searchTime = 0.25; // seconds of search per position
+        this.playouts = 10; // playouts per evaluated move
+        this.worstMovesShown = 3;
+        this.positions = [];
+        this.states = [];
+        this.isAnalyzing = false;
+        // Game the report belongs to: the game record and how many actions it had
+        this.record = null;
+        this.actionCount = -1;
+        this.elements = {};
+    }
+
+    init() {
+        this.elements = {
+            analyzeBtn: document.getElementById('analyze-game-btn'),
+            panel: document.getElementById('game-analysis'),
+            status: document.getElementById('game-analysis-status'),
+            graph: document.getElementById('game-analysis-graph'),
+            legend: document.getElementById('game-analysis-legend'),
+            moves: document.getElementById('game-analysis-moves')
+        };
+
+        this.elements.analyzeBtn.addEventListener('click', () => this.analyze());
+    }
+
+    async getProxy() {
+        if (!this.proxy) {
+            this.proxy = new AIWorkerProxy();
+            await this.proxy.initialize();
+        }
+        return this.proxy;
+    }
+
+    isCurrentGame() {
+        const record = this.game.gameRecord;
+        return !!record && this.record === record && this.actionCount === record.actions.length;
+    }
+
+    /**
+     * Called whenever the game-over modal opens; a report of the same game is kept
+     */
+    show() {
+        if (!this.isCurrentGame()) {
+            this.reset();
+        }
+        this.elements.analyzeBtn.disabled = this.isAnalyzing || !!this.record ||
+            !this.game.gameRecord || this.game.gameRecord.actions.length === 0;
+    }
+
+    /**
+     * Drop the report (and abort the analysis if it is still running)
+     */
+    reset() {
+        if (this.isAnalyzing && this.proxy) {
+            this.proxy.cancel();
+        }
+        this.isAnalyzing = false;
+        this.record = null;
+        this.actionCount = -1;
+        this.positions = [];
+        this.states = [];
+        if (!this.elements.panel) return;
+
+        this.elements.panel.classList.add('hidden');
+        this.elements.status.textContent = '';
+        this.elements.graph.innerHTML = '';
+        this.elements.legend.innerHTML = '';
+        this.elements.moves.innerHTML = '';
+        this.elements.analyzeBtn.disabled = false;
+    }
+
+    async analyze() {
+        const game = this.game;
+        const record = game.gameRecord;
+        if (this.isAnalyzing || !record || record.actions.length === 0) return;
+
+        // stateHistory[i] is the position before action i; the live state is the final position
+        const states = game.stateHistory.concat([game.state]);
+        const actions = record.actions.map(entry => entry.action);
+        const movers = record.actions.map(entry => entry.player);
+
+        this.reset();
+        this.record = record;
+        this.actionCount = record.actions.length;
+        this.states = states;
+        this.positions = new Array(actions.length).fill(null);
+        this.isAnalyzing = true;
+
+        this.elements.analyzeBtn.disabled = true;
+        this.elements.panel.classList.remove('hidden');
+        this.elements.status.textContent = I18n.t('analysis.analyzing', { count: actions.length });
+        this.render();
+
+        try {
+            const proxy = await this.getProxy();
+            const result = await proxy.analyzeGame(states, actions, movers, {
+                searchTime: this.searchTime,
+                playouts: this.playouts,
+                confirmAbove: GameAnalysis.BLUNDER_THRESHOLD,
+                confirmPlayouts: GameAnalysis.playoutsForMargin(GameAnalysis.BLUNDER_THRESHOLD)
+            }, (progress) => this.handleProgress(progress));
+            if (!this.isCurrentGame()) return;
+
+            this.positions = result.positions;
+            this.isAnalyzing = false;
+            this.elements.status.textContent =
+                I18n.t('analysis.done', { count: actions.length, seconds: Math.round(result.timeMs / 1000) });
+            this.render();
+        } catch (error) {
+            if (error.cancelled || !this.isCurrentGame()) return;
+            console.error('Game analysis failed:', error);
+            this.elements.status.textContent = I18n.t('analysis.failed', { message: error.message });
+        } finally {
+            if (this.isCurrentGame()) {
+                this.isAnalyzing = false;
+            }
+        }
+    }
+
+    handleProgress(progress) {
+        if (!this.isAnalyzing || !this.isCurrentGame()) return;
+
+        this.positions[progress.index] = progress.position;
+        this.elements.status.textContent = I18n.t('analysis.progress', { percent: Math.round(progress.done * 100) });
+        this.render();
+    }
+
+    /**
+     * Win rate the mover lost by playing the actual move instead of the preferred one
+     */
+    getDrop(index) {
+        const position = this.positions[index];
+        if (!position || position.isBest) return 0;
+
+        const mover = this.record.actions[index].player;
+        const actual = position.actual[mover];
+        const best = position.best[mover];
+        if (actual === null || best === null) return 0;
+        return Math.max(0, best - actual);
+    }
+
+    /**
+     * Margin of error of the drop: BLUNDER_Z standard errors of the difference of two
+     * playout win rates, taking the worst case p(1 - p) = 1/4 for each
+     */
+    getDropMargin(index) {
+        const position = this.positions[index];
+        if (!position || position.isBest || !position.playouts) return 0;
+
+        const { actual, best } = position.playouts;
+        if (actual === 0 || best === 0) return 1;
+        return GameAnalysis.BLUNDER_Z * 0.5 * Math.sqrt(1 / actual + 1 / best);
+    }
+
+    /**
+     * Playouts per side that bring the margin of error of a drop below a given size
+     */
+    static playoutsForMargin(margin) {
+        const perSide = 0.5 * GameAnalysis.BLUNDER_Z / margin;
+        return Math.ceil(2 * perSide * perSide);
+    }
+
+    /**
+     * A big drop that noise alone would rarely produce (about 2.5% of the time for two
+     * equally good moves). Drops above the threshold come with enough playouts for their
+     * margin to be below it, so in effect the threshold is the cutoff.
+     */
+    isBlunder(index) {
+        const drop = this.getDrop(index);
+        return drop > GameAnalysis.BLUNDER_THRESHOLD && drop > this.getDropMargin(index);
+    }
+
+    render() {
+        this.renderGraph();
+        this.renderMoves();
+    }
+
+    /**
+     * Redraw after the language or the colors changed
+     */
+    refresh() {
+        if (this.record) {
+            this.render();
+        }
+    }
+
+    /**
+     * Win probability of every player after each move, with blunders marked
+     */
+    renderGraph() {
+        const { graph, legend } = this.elements;
+        const players = this.states[0].players;
+        const width = GameAnalysis.GRAPH_WIDTH;
+        const height = GameAnalysis.GRAPH_HEIGHT;
+        const x = (move) => (move / this.positions.length) * width;
+        const y = (probability) => height - probability * height;
+
+        let svg = `<line class="graph-midline" x1="0" y1="${y(0.5)}" x2="${width}" y2="${y(0.5)}"></line>`;
+
+        players.forEach((player, playerIndex) => {
+            const color = Theme.seatColor(playerIndex);
+            // Everyone starts with an even chance
+            const points = [`${x(0)},${y(1 / players.length)}`];
+            this.positions.forEach((position, index) => {
+                if (position && position.actual[playerIndex] !== null) {
+                    points.push(`${x(index + 1)},${y(position.actual[playerIndex])}`);
+                }
+            });
+            svg += `<polyline class="graph-line" points="${points.join(' ')}" stroke="${color}"></polyline>`;
+        });
+
+        graph.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        graph.innerHTML = svg;
+
+        // Blunder markers; the title is set as text since player names are free text
+        this.positions.forEach((position, index) => {
+            if (!this.isBlunder(index)) return;
+            const mover = this.record.actions[index].player;
+            const circle = document.createElementNS(GameAnalysis.SVG_NS, 'circle');
+            circle.setAttribute('class', 'graph-blunder');
+            circle.setAttribute('cx', x(index + 1));
+            circle.setAttribute('cy', y(position.actual[mover]));
+            circle.setAttribute('r', 4);
+            const title = document.createElementNS(GameAnalysis.SVG_NS, 'title');
+            title.textContent = I18n.t('analysis.blunder', {
+                number: index + 1,
+                name: players[mover].name,
+                percent: Math.round(this.getDrop(index) * 100),
+                margin: Math.round(this.getDropMargin(index) * 100)
+            });
+            circle.appendChild(title);
+            graph.appendChild(circle);
+        });
+
+        legend.innerHTML = '';
+        players.forEach((player, playerIndex) => {
+            const item = document.createElement('span');
+            item.className = 'legend-item';
+            item.innerHTML = `<span class="legend-swatch" style="background-color: ${Theme.seatColor(playerIndex)}"></span>`;
+            item.appendChild(document.createTextNode(player.name));
+            legend.appendChild(item);
+        });
+    }
+
+    /**
+     * The moves that cost each player the most win probability
+     */
+    renderMoves() {
+        const moves = this.elements.moves;
+        const players = this.states[0].players;
+        moves.innerHTML = '';
+
+        players.forEach((player, playerIndex) => {
+            const worst = [];
+            this.record.actions.forEach((entry, index) => {
+                if (entry.player === playerIndex && this.getDrop(index) > GameAnalysis.MISTAKE_THRESHOLD) {
+                    worst.push(index);
+                }
+            });
+            worst.sort((a, b) => this.getDrop(b) - this.getDrop(a));
+
+            const section = document.createElement('div');
+            section.className = 'analysis-player';
+            const heading = document.createElement('h4');
+            heading.textContent = player.name;
+            section.appendChild(heading);
+
+            const list = document.createElement('ul');
+            worst.slice(0, this.worstMovesShown).forEach(index => list.appendChild(this.renderMove(index)));
+            if (worst.length === 0) {
+                const li = document.createElement('li');
+                li.className = 'analysis-move';
+                li.textContent = I18n.t(this.isAnalyzing ? 'analysis.noMistakesYet' : 'analysis.noMistakes');
+                list.appendChild(li);
+            }
+            section.appendChild(list);
+            moves.appendChild(section);
+        });
+    }
+
+    renderMove(index) {
+        const entry = this.record.actions[index];
+        const position = this.positions[index];
+        const before = this.states[index];
+        const percent = (probability) => I18n.formatNumber(probability, { style: 'percent' });
+
+        const li = document.createElement('li');
+        li.className = `analysis-move ${this.isBlunder(index) ? 'blunder' : ''}`;
+        li.textContent = I18n.t('analysis.move', {
+            number: index + 1,
+            move: this.game.ui.describeMove(entry.action, before, entry.player),
+            actual: percent(position.actual[entry.player]),
+            best: this.game.ui.describeMove(position.bestAction, before, entry.player),
+            bestShare: percent(position.best[entry.player]),
+            drop: Math.round(this.getDrop(index) * 100),
+            margin: Math.round(this.getDropMargin(index) * 100),
+            count: position.playouts ? position.playouts.actual : 0
+        });
+        return li;
+    }
+}
+
+GameAnalysis.BLUNDER_THRESHOLD = 0.25; // Smallest win rate drop flagged as a blunder
+GameAnalysis.BLUNDER_Z = 1.96; // Standard errors a drop must exceed to be flagged
+GameAnalysis.MISTAKE_THRESHOLD = 0.1; // Smallest drop listed among the worst moves
+GameAnalysis.GRAPH_WIDTH = 360;
+GameAnalysis.GRAPH_HEIGHT = 120;
\ No newline at end of file
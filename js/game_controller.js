@@ -3,56 +3,255 @@ class GameController {
         this.wasm = new WasmInterface();
         this.aiProxy = new AIWorkerProxy();
         this.ui = new UIManager();
+        this.replay = new ReplayController(this);
+        this.spectator = new SpectatorController(this);
+        this.hints = new HintController(this);
+        this.analysis = new GameAnalysis(this);
+        this.discard = new DiscardAssistant(this);
+        this.keyboard = new KeyboardController(this);
+        this.touch = new TouchController(this);
+        this.themeDialog = new ThemeDialog();
+        this.settings = new SettingsPanel(this);
+        this.sound = new SoundEffects();
         this.state = null;
         this.selectedGems = [];
         this.selectedCard = null;
         this.selectedCardTier = 0;
         this.selectedReservedCard = null;
-        this.actionType = null; // 'TAKE_GEMS', 'RESERVE', 'PURCHASE'
+        this.actionType = null; // 'TAKE_GEMS', 'CARD_SELECTED', 'PURCHASE', 'RESERVE', 'DECK_SELECTED', 'RESERVED_SELECTED'
         
-        // Game state history for unwind feature
+        // Undo/redo history: stateHistory[i] is the position before gameRecord.actions[i],
+        // redoStack holds undone { entry, state } pairs (most recently undone last)
         this.stateHistory = [];
-        this.maxHistorySize = 50; // Keep last 50 states
+        this.redoStack = [];
+        this.isAIThinking = false;
+        this.isAILoopRunning = false;
+        this.aiGeneration = 0; // Bumped to make an AI move in flight stale (new game, undo, ...)
+        this.paymentResolver = null; // Pending payment choice of the human's purchase
+        this.nobleResolver = null; // Pending noble choice of the human's move
+        this.legalActions = []; // Engine's legal actions for legalActionsState
+        this.legalActionsState = null;
+        
+        // Full record of the current game (for save/load and replay)
+        this.gameRecord = null;
+        
+        // Game in progress survives a page reload
+        this.autosave = new AutosaveStore();
+        
+        // Settings panel choices, also kept across reloads
+        this.preferences = new PreferencesStore();
+        
+        // Lineup of the current game: { type: 'human'|'ai', name, timeLimit, difficulty, level } per seat
+        this.seats = [];
         
         // Expose for global access (e.g. onclick handlers in generated HTML)
         window.gameController = this;
     }
     
     async init() {
+        Theme.init(this.preferences.get('theme'), this.preferences.get('palettes'));
         await this.wasm.initialize();
         await this.aiProxy.initialize();
+        this.aiProxy.onProgress((progress) => {
+            if (this.isAIThinking) {
+                this.ui.updateAIProgress(progress);
+            }
+        });
         this.ui.init(this);
+        this.replay.init();
+        this.spectator.init();
+        this.hints.init();
+        this.analysis.init();
+        this.discard.init();
+        this.keyboard.init();
+        this.touch.init();
+        this.themeDialog.init();
+        this.settings.init();
+        this.applyPreferences();
+        this.preferences.onChange(() => this.applyPreferences());
+        I18n.onChange(() => this.onLocaleChange());
+        Theme.onChange((themeId, isPreview) => {
+            // Previews change with every color-picker input; only chosen themes are saved
+            if (!isPreview) {
+                this.preferences.set({ theme: themeId, palettes: Theme.palettes.slice() });
+            }
+            this.onThemeChange();
+        });
         
         // Show setup modal
         document.getElementById('setup-modal').style.display = 'flex';
     }
     
-    startNewGame(firstPlayerIndex, aiTimeLimit = 2.5, aiDifficulty = 5000000) {
-        this.wasm.initGame(firstPlayerIndex);
-        // Set AI difficulty from user input
-        this.aiProxy.setDifficulty(aiDifficulty);
-        // Set AI time limit from user input
-        this.aiProxy.setTimeLimit(aiTimeLimit);
+    /**
+     * Put the saved preferences into effect (on startup and after every change)
+     */
+    applyPreferences() {
+        const preferences = this.preferences;
+        this.ui.applyPreferences(preferences);
+        this.aiProxy.setDebugMode(preferences.get('aiDebug'));
+        this.sound.setEnabled(preferences.get('sound'));
+        this.settings.sync();
+    }
+    
+    /**
+     * Start a game for a lineup of seats
+     * @param {Array} seats - { type: 'human'|'ai', name, timeLimit, difficulty, level } per seat
+     * @param {number} firstPlayerIndex - Seat that moves first; the lineup is rotated so it
+     *   becomes seat 1 (the engine only keeps turns even when its first seat starts)
+     */
+    startNewGame(seats, firstPlayerIndex = 0) {
+        this.cancelAITurn();
+        seats = seats.slice(firstPlayerIndex).concat(seats.slice(0, firstPlayerIndex));
+        this.wasm.initGame(seats.length);
         
-        // Set initial debug mode based on checkbox
-        if (this.ui.elements.aiDebugCheck) {
-            this.aiProxy.setDebugMode(this.ui.elements.aiDebugCheck.checked);
-        }
+        // The engine sets up its own seat types; apply the chosen lineup on top
+        const state = this.wasm.getGameState();
+        state.players.forEach((player, index) => {
+            player.isHuman = seats[index].type === 'human';
+        });
+        this.wasm.setGameState(state);
+        this.wasm.setPlayerNames(seats.map(seat => seat.name));
+        this.applySeats(seats);
         
         // Clear history for new game
         this.stateHistory = [];
+        this.redoStack = [];
+        this.spectator.reset();
+        this.analysis.reset();
+        
+        this.gameRecord = new GameRecord({
+            initialState: this.wasm.getGameState(),
+            firstPlayer: 0,
+            seats: this.seats
+        });
+        this.ui.updateRecordButtons(true);
+        this.ui.showResumeOption(null);
         
         this.updateState();
         this.ui.render(this.state);
+        this.updateHistoryUI();
         this.checkAITurn();
     }
     
+    applySeats(seats) {
+        this.seats = seats.map(seat => ({ ...seat }));
+        
+        // Worker defaults follow the first AI seat; each request also carries its seat's settings
+        const firstAI = this.seats.find(seat => seat.type === 'ai');
+        if (firstAI) {
+            if (firstAI.difficulty) this.aiProxy.setDifficulty(firstAI.difficulty);
+            if (firstAI.timeLimit) this.aiProxy.setTimeLimit(firstAI.timeLimit);
+        }
+    }
+    
+    exportGameRecord() {
+        if (!this.gameRecord) return;
+        this.gameRecord.download();
+    }
+    
+    async importGameRecord(file) {
+        try {
+            const record = await GameRecord.fromFile(file);
+            await this.loadGameRecord(record);
+        } catch (error) {
+            console.error('Failed to load game record:', error);
+            alert(I18n.t('alert.loadFailed', { message: error.message }));
+        }
+    }
+    
+    /**
+     * Make a record the live game
+     * @param {GameRecord} record
+     * @param {Object} saved - Optional autosave { state, redo } restoring the exact position
+     *   (e.g. a pending gem discard) and the undone moves
+     */
+    async loadGameRecord(record, saved = null) {
+        this.cancelAITurn();
+        const history = [];
+        
+        // Replay every recorded action, keeping pre-action snapshots for undo
+        try {
+            record.replay(this.wasm, () => history.push(this.wasm.getGameState()));
+            // The engine's state JSON has no pending-discard flag; the replay already stops there
+            if (saved && !this.wasm.needsGemDiscard()) {
+                this.wasm.setGameState(saved.state);
+            }
+        } catch (error) {
+            // Put the engine back to the game that was on screen
+            if (this.state) {
+                this.wasm.setGameState(this.state);
+                this.wasm.setPlayerNames(this.seats.map(seat => seat.name));
+            }
+            throw error;
+        }
+        this.stateHistory = history;
+        this.redoStack = saved && Array.isArray(saved.redo) ? saved.redo : [];
+        this.spectator.reset();
+        this.analysis.reset();
+        
+        this.applySeats(record.seats);
+        
+        this.gameRecord = record;
+        this.ui.updateRecordButtons(true);
+        this.ui.showResumeOption(null);
+        
+        document.getElementById('setup-modal').style.display = 'none';
+        document.getElementById('game-over-modal').style.display = 'none';
+        this.discard.close();
+        
+        this.clearSelection();
+        this.updateState();
+        this.ui.render(this.state);
+        this.updateHistoryUI();
+        
+        if (this.wasm.isGameOver()) {
+            this.endGame();
+        } else if (!this.wasm.needsGemDiscard()) {
+            await this.checkAITurn();
+        }
+    }
+    
+    /**
+     * Continue the game autosaved before the page was reloaded
+     */
+    async resumeSavedGame() {
+        const saved = this.autosave.load();
+        if (!saved) return;
+        
+        try {
+            const record = GameRecord.fromJSON(saved.record);
+            await this.loadGameRecord(record, saved);
+        } catch (error) {
+            console.error('Failed to resume saved game:', error);
+            this.autosave.clear();
+            this.ui.showResumeOption(null);
+            alert(I18n.t('alert.resumeFailed', { message: error.message }));
+        }
+    }
+    
+    /**
+     * Autosave the game in progress (finished games are not kept)
+     */
+    saveProgress() {
+        if (!this.gameRecord) return;
+        
+        if (this.wasm.isGameOver()) {
+            this.autosave.clear();
+            return;
+        }
+        this.autosave.save({
+            record: this.gameRecord.toJSON(),
+            state: this.wasm.getGameState(),
+            redo: this.redoStack
+        });
+    }
+    
     setDebugMode(enabled) {
         this.aiProxy.setDebugMode(enabled);
     }
     
     setAIDebugMode(enabled) {
-        this.aiProxy.setDebugMode(enabled);
+        this.preferences.set({ aiDebug: enabled });
     }
     
     updateState() {
@@ -60,60 +259,219 @@ class GameController {
         
         // Check if we need to handle gem discard
         if (this.wasm.needsGemDiscard()) {
-            this.showGemDiscardModal();
+            this.discard.open();
         }
     }
     
-    saveStateToHistory() {
-        // Deep copy the current state
-        const stateCopy = JSON.parse(JSON.stringify(this.state));
-        this.stateHistory.push(stateCopy);
+    /**
+     * Execute an action on the engine and commit it to the game record and undo history
+     * @returns {boolean} Whether the engine accepted the action
+     */
+    commitAction(action) {
+        // Deep copy of the position the action is made from
+        const snapshot = JSON.parse(JSON.stringify(this.state));
+        const playerIndex = this.state.currentPlayerIndex;
         
-        // Limit history size
-        if (this.stateHistory.length > this.maxHistorySize) {
-            this.stateHistory.shift();
+        if (!this.wasm.executeAction(action)) {
+            return false;
         }
         
-        // Update UI to reflect unwind availability
-        this.ui.updateUnwindButton(this.canUnwind());
+        this.stateHistory.push(snapshot);
+        this.gameRecord.addAction(playerIndex, this.wasm.toPlainAction(action));
+        return true;
+    }
+    
+    canUndo() {
+        // Undoing while the AI thinks aborts its search
+        return !this.replay.isActive && this.stateHistory.length > 0;
+    }
+    
+    canRedo() {
+        return !this.replay.isActive && !this.isAIThinking && this.redoStack.length > 0;
     }
     
     canUnwind() {
-        // Can unwind if there's history and it's human player's turn
-        return this.stateHistory.length > 0 && this.isHumanTurn();
+        // Unwind needs a human move somewhere in the history
+        return this.canUndo() && this.gameRecord.actions.some((entry, index) =>
+            this.stateHistory[index].players[entry.player].isHuman);
     }
     
+    /**
+     * Take back the last action (human or AI) and keep it for redo
+     */
+    undoAction() {
+        if (!this.canUndo()) return;
+        
+        this.cancelAITurn();
+        this.undoLastEntry();
+        this.onHistoryChanged();
+    }
+    
+    /**
+     * Re-apply the last undone action exactly as it was played (AI moves are not searched again)
+     */
+    redoAction() {
+        if (!this.canRedo()) return;
+        
+        this.redoLastEntry();
+        this.onHistoryChanged();
+    }
+    
+    /**
+     * Undo back to the position before the last human move
+     */
     unwindAction() {
-        if (!this.canUnwind()) {
-            return;
-        }
+        if (!this.canUnwind()) return;
         
-        // Get the previous state
-        const previousState = this.stateHistory.pop();
+        this.cancelAITurn();
+        let entry;
+        let snapshot;
+        do {
+            snapshot = this.stateHistory[this.stateHistory.length - 1];
+            entry = this.undoLastEntry();
+        } while (!snapshot.players[entry.player].isHuman);
         
-        // Restore the state to the game engine
-        // We need to reinitialize the game with the previous state
-        // Since we don't have a direct "setState" method, we'll use the JSON state
-        this.wasm.gameEngine.setStateFromJSON(JSON.stringify(previousState));
+        this.onHistoryChanged();
+    }
+    
+    /**
+     * Move through the history so that exactly `actionCount` actions are applied
+     */
+    jumpToHistory(actionCount) {
+        if (this.replay.isActive) return;
+        
+        this.cancelAITurn();
+        while (this.gameRecord.actions.length > actionCount && this.stateHistory.length > 0) {
+            this.undoLastEntry();
+        }
+        while (this.gameRecord.actions.length < actionCount && this.redoStack.length > 0) {
+            this.redoLastEntry();
+        }
+        this.onHistoryChanged();
+    }
+    
+    /**
+     * Drop the undone actions and continue the game from the current position
+     */
+    resumeFromHistory() {
+        this.redoStack = [];
+        this.onHistoryChanged();
+    }
+    
+    undoLastEntry() {
+        const state = this.stateHistory.pop();
+        const entry = this.gameRecord.popAction();
+        this.redoStack.push({ entry: entry, state: state });
+        this.wasm.setGameState(state);
+        return entry;
+    }
+    
+    redoLastEntry() {
+        const { entry, state } = this.redoStack.pop();
+        this.wasm.setGameState(state);
+        this.state = state;
+        
+        if (!this.commitAction(entry.action)) {
+            throw new Error('Redo failed: the engine rejected a recorded action');
+        }
+        entry.discards.forEach(color => {
+            this.wasm.discardGem(this.wasm.getDiscardingPlayer(), color);
+            this.gameRecord.addDiscard(color);
+        });
+    }
+    
+    onHistoryChanged() {
+        this.closePaymentModal(null);
+        this.closeNobleModal(null);
+        this.discard.close();
+        document.getElementById('game-over-modal').style.display = 'none';
         
-        // Update local state
         this.updateState();
         this.clearSelection();
         this.ui.render(this.state);
-        this.ui.updateUnwindButton(this.canUnwind());
+        this.updateHistoryUI();
+        
+        if (this.wasm.isGameOver()) {
+            this.endGame();
+        } else if (!this.wasm.needsGemDiscard()) {
+            this.checkAITurn();
+        }
     }
     
-    async executePlayerAction(action) {
-        // Save state before executing action (only for human players)
-        if (this.isHumanTurn()) {
-            this.saveStateToHistory();
+    /**
+     * Redraw everything with generated text after the language was switched
+     */
+    onLocaleChange() {
+        this.ui.onLocaleChange();
+        if (!this.state) return;
+        
+        if (this.replay.isActive) {
+            this.replay.renderCurrent();
+        } else {
+            this.ui.render(this.state);
         }
+        this.ui.renderHistory(this.getHistoryItems(), this.gameRecord ? this.gameRecord.actions.length : 0);
+        this.spectator.update();
+        this.hints.onLocaleChange();
+        this.analysis.refresh();
+    }
+    
+    /**
+     * Redraw what carries inline colors (card costs, nobles, the analysis graph)
+     */
+    onThemeChange() {
+        if (this.state) {
+            if (this.replay.isActive) {
+                this.replay.renderCurrent();
+            } else {
+                this.ui.render(this.state);
+            }
+        }
+        this.analysis.refresh();
+    }
+    
+    updateHistoryUI() {
+        this.ui.updateUnwindButton(this.canUnwind());
+        this.ui.updateRedoButton(this.canRedo());
+        this.ui.renderHistory(this.getHistoryItems(), this.gameRecord ? this.gameRecord.actions.length : 0);
+        this.spectator.update();
+        this.hints.update();
+        this.saveProgress();
+    }
+    
+    /**
+     * History list for the header: played actions followed by undone (redoable) ones
+     */
+    getHistoryItems() {
+        if (!this.gameRecord) return [];
         
-        const success = this.wasm.executeAction(action);
+        const played = this.gameRecord.actions.map((entry, index) => ({
+            text: this.ui.describeAction(entry, this.stateHistory[index]),
+            isHuman: this.stateHistory[index].players[entry.player].isHuman
+        }));
+        const undone = this.redoStack.slice().reverse().map(({ entry, state }) => ({
+            text: this.ui.describeAction(entry, state),
+            isHuman: state.players[entry.player].isHuman
+        }));
+        return played.concat(undone);
+    }
+    
+    async executePlayerAction(action) {
+        const before = this.state;
+        const success = this.commitAction(action);
         if (success) {
+            // A new move starts a new branch of history
+            this.redoStack = [];
             this.updateState();
             this.clearSelection();
+            
+            const after = this.state;
+            await this.animateNobleVisit(before, after, before.currentPlayerIndex);
+            // Undone or replaced during the animation
+            if (this.state !== after) return success;
+            
             this.ui.render(this.state);
+            this.updateHistoryUI();
             
             if (this.wasm.isGameOver()) {
                 this.endGame();
@@ -121,70 +479,119 @@ class GameController {
                 await this.checkAITurn();
             }
         } else {
-            // Remove the saved state if action failed
-            if (this.isHumanTurn() && this.stateHistory.length > 0) {
-                this.stateHistory.pop();
-            }
-            alert("Invalid action!");
+            alert(I18n.t('alert.invalidAction'));
         }
         return success;
     }
     
     async checkAITurn() {
-        while (!this.wasm.isCurrentPlayerHuman() && !this.wasm.isGameOver()) {
-            await this.executeAITurn();
+        // A single loop plays consecutive AI seats; later calls just let it carry on
+        if (this.isAILoopRunning) return;
+        
+        // The live game waits while the replay viewer owns the board, while undone moves
+        // are waiting to be redone or while the spectator bar is paused; exiting the viewer,
+        // resuming play or pressing Resume/Step continues it
+        this.isAILoopRunning = true;
+        try {
+            while (!this.replay.isActive && this.redoStack.length === 0 &&
+                   !this.wasm.isCurrentPlayerHuman() && !this.wasm.isGameOver() &&
+                   this.spectator.allowMove()) {
+                // A failed turn would only fail again on the same position
+                if (!await this.executeAITurn()) break;
+            }
+        } finally {
+            this.isAILoopRunning = false;
+        }
+        this.spectator.update();
+        if (this.spectator.isPaused && !this.replay.isActive) {
+            this.ui.updateHeader(this.state);
         }
     }
     
+    /**
+     * Let the AI seat to move play
+     * @returns {Promise<boolean>} false if the turn failed (search error or a move the engine rejected)
+     */
     async executeAITurn() {
-        // Allow UI to update before starting AI computation
-        await this.delay(50);
+        const generation = this.aiGeneration;
+        
+        // Allow UI to update before starting AI computation (longer when spectating slowly)
+        await this.delay(this.spectator.moveDelay);
         
         // Use requestAnimationFrame to ensure UI is rendered
         await new Promise(resolve => requestAnimationFrame(resolve));
+        if (generation !== this.aiGeneration) return true;
+        
+        this.isAIThinking = true;
+        this.updateHistoryUI();
         
         try {
+            const seat = this.seats[this.state.currentPlayerIndex] || {};
             const action = await this.aiProxy.getAIAction(
                 this.state,
-                this.state.currentPlayerIndex
+                this.state.currentPlayerIndex,
+                DifficultyPresets.searchSettings(seat)
             );
+            this.isAIThinking = false;
             
-            // Animate AI action
-            // Note: action.type from worker is an integer, but ActionType enum values are objects in Embind.
-            // We need to compare with the integer value of the enum.
-            const typeInt = typeof action.type === 'object' ? action.type.value : action.type;
-            
-            if (typeInt === this.wasm.module.ActionType.TAKE_2_SAME.value ||
-                typeInt === this.wasm.module.ActionType.TAKE_3_DIFFERENT.value ||
-                typeInt === this.wasm.module.ActionType.TAKE_2_DIFFERENT.value ||
-                typeInt === this.wasm.module.ActionType.TAKE_SINGLE.value) {
-                const gems = [];
-                // action.gems from worker is a plain array of integers
-                if (Array.isArray(action.gems)) {
-                    action.gems.forEach(g => gems.push(this.getGemColorString({value: g})));
-                } else {
-                    // Fallback if it's a vector (shouldn't happen with JSON)
-                    for(let i=0; i<action.gems.size(); i++) gems.push(this.getGemColorString(action.gems.get(i)));
-                }
-                await this.ui.animateGems(gems, this.state.currentPlayerIndex);
-            } else if (typeInt === this.wasm.module.ActionType.PURCHASE_CARD.value ||
-                       typeInt === this.wasm.module.ActionType.RESERVE_CARD.value ||
-                       typeInt === this.wasm.module.ActionType.PURCHASE_RESERVED.value) {
-                await this.ui.animateCard(action.cardId, action.cardTier, this.state.currentPlayerIndex);
+            // Animate AI action (the board belongs to the replay viewer while it is open)
+            if (!this.replay.isActive) {
+                await this.animateAction(action, this.state.currentPlayerIndex);
             }
             
-            this.wasm.executeAction(action);
+            // The position changed under the move (new game or undo during the animation)
+            if (generation !== this.aiGeneration) return true;
+            
+            const before = this.state;
+            if (!this.commitAction(action)) {
+                throw new Error('The engine rejected the AI move');
+            }
             this.updateState();
-            this.ui.render(this.state);
+            const entry = this.gameRecord.actions[this.gameRecord.actions.length - 1];
+            this.ui.announce(this.ui.describeAction(entry, before));
+            if (!this.replay.isActive) {
+                await this.animateNobleVisit(before, this.state, before.currentPlayerIndex);
+                if (generation !== this.aiGeneration) return true;
+                this.ui.render(this.state);
+            }
+            this.updateHistoryUI();
             
             if (this.wasm.isGameOver()) {
                 this.endGame();
             }
+            return true;
         } catch (error) {
+            // Aborted by cancelAITurn, which already reset the UI
+            if (error.cancelled) return true;
+            
+            this.isAIThinking = false;
+            this.updateHistoryUI();
             console.error('AI turn failed:', error);
-            alert('Critical Error: AI computation failed. The game state might be inconsistent. Please start a new game.');
+            alert(I18n.t('alert.aiFailed'));
             // Optionally reset the game or show the setup modal
             document.getElementById('setup-modal').style.display = 'flex';
+            return false;
+        }
+    }
+    
+    /**
+     * Abort the AI move in flight, if any; its result will not be applied
+     */
+    cancelAITurn() {
+        this.aiGeneration++;
+        this.aiProxy.cancel();
+        if (this.isAIThinking) {
+            this.isAIThinking = false;
+            this.ui.setAIThinking(false);
+        }
+    }
+    
+    /**
+     * Make the AI play its best move found so far
+     */
+    moveAINow() {
+        if (this.isAIThinking) {
+            this.aiProxy.moveNow();
         }
     }
     
@@ -201,20 +608,9 @@ class GameController {
             const index = this.selectedGems.indexOf(color);
             if (index >= 0) this.selectedGems.splice(index, 1);
         } else {
-            // New color selection
-            // If we already have 2 of the same color (from double click), clear selection first
-            const counts = {};
-            this.selectedGems.forEach(c => counts[c] = (counts[c] || 0) + 1);
-            const hasTwoSame = Object.values(counts).some(c => c >= 2);
-            
-            if (hasTwoSame) {
-                this.selectedGems = [color];
-            } else {
-                // Standard accumulation (up to 3 different)
-                if (this.selectedGems.length < 3) {
-                    this.selectedGems.push(color);
-                }
-            }
+            const selection = this.nextGemSelection(color);
+            if (!selection) return;
+            this.selectedGems = selection;
         }
         
         this.selectedCard = null;
@@ -224,12 +620,24 @@ class GameController {
         this.checkInstantAction();
     }
 
+    /**
+     * Selection after adding a color, or null if no legal take could contain it
+     */
+    nextGemSelection(color) {
+        // If we already have 2 of the same color (from double click), start over
+        const counts = {};
+        this.selectedGems.forEach(c => counts[c] = (counts[c] || 0) + 1);
+        const hasTwoSame = Object.values(counts).some(c => c >= 2);
+        
+        const selection = hasTwoSame ? [color] : this.selectedGems.concat([color]);
+        return this.canSelectGems(selection) ? selection : null;
+    }
+
     onGemDoubleClick(color) {
         if (!this.isHumanTurn()) return;
 
-        // Check if there are enough gems in the pool (need at least 4 to take 2)
-        const poolCount = this.state.gemPool[color.toLowerCase()];
-        if (poolCount < 4) {
+        // Taking 2 of a color needs enough of it in the pool
+        if (!this.findGemAction([color, color])) {
             // Visual feedback or just ignore?
             // Maybe just ensure single selection if not already selected
             if (!this.selectedGems.includes(color)) {
@@ -248,10 +656,19 @@ class GameController {
         this.checkInstantAction();
     }
     
-    onCardClick(cardId, tier) {
+    /**
+     * Select a board card; purchase or reserve is chosen separately (chooseCardAction),
+     * or directly with intent 'RESERVE' (shift-click)
+     */
+    onCardClick(cardId, tier, intent = null) {
         if (!this.isHumanTurn()) return;
         
-        if (this.selectedCard && this.selectedCard.id === cardId) {
+        if (intent === 'RESERVE' && !this.canReserve({ id: cardId })) {
+            alert(I18n.t('alert.cannotReserve'));
+            return;
+        }
+        
+        if (this.selectedCard && this.selectedCard.id === cardId && !intent) {
             this.selectedCard = null;
             this.actionType = null;
         } else {
@@ -259,19 +676,32 @@ class GameController {
             this.selectedCardTier = tier;
             this.selectedReservedCard = null;
             this.selectedGems = [];
-            this.actionType = 'CARD_SELECTED';
+            this.actionType = intent || 'CARD_SELECTED';
         }
         this.ui.render(this.state);
         this.checkInstantAction();
     }
+    
+    /**
+     * Purchase or reserve the selected board card
+     * @param {string} intent - 'PURCHASE' or 'RESERVE'
+     */
+    chooseCardAction(intent) {
+        if (!this.isHumanTurn() || !this.selectedCard || this.selectedCard.id === -1) return;
+        
+        this.actionType = intent;
+        if (this.isActionReady()) {
+            this.onConfirmAction();
+        } else {
+            this.ui.render(this.state);
+        }
+    }
 
     onDeckClick(tier) {
         if (!this.isHumanTurn()) return;
 
-        // Check if player can reserve (max 3 reserved cards)
-        const player = this.state.players[this.state.currentPlayerIndex];
-        if (player.reservedCards.length >= 3) {
-            alert("You cannot reserve more than 3 cards!");
+        if (!this.canReserveFromDeck(tier)) {
+            alert(I18n.t('alert.cannotReserveDeck'));
             return;
         }
 
@@ -312,142 +742,104 @@ class GameController {
     }
 
     checkInstantAction() {
-        if (this.ui.elements.instantActionCheck && this.ui.elements.instantActionCheck.checked) {
-            if (this.isActionReady()) {
-                this.onConfirmAction();
-            }
+        if (this.preferences.get('instantActions') && this.isActionReady()) {
+            this.onConfirmAction();
         }
     }
     
-    onConfirmAction() {
+    async onConfirmAction() {
         if (!this.isHumanTurn()) return;
         
-        let action = null;
+        // A purchase may wait for the payment choice; the position must not change meanwhile
+        const state = this.state;
         
+        // The selection is matched against the engine's legal actions, so only those are ever executed
+        let action = this.getSelectedAction();
+        if (!action) return;
+        
+        const ActionType = this.wasm.module.ActionType;
+        if (action.type === ActionType.PURCHASE_CARD.value || action.type === ActionType.PURCHASE_RESERVED.value) {
+            const player = state.players[state.currentPlayerIndex];
+            const card = WasmInterface.findPurchasedCard(state, action);
+            const payment = await this.choosePayment(player, card, action.payment);
+            if (!payment || this.state !== state) return;
+            action = { ...action, payment: payment };
+        }
+        
+        // When several nobles qualify at once the player picks who visits (the engine would take the first)
+        const nobles = this.getNobleCandidates(action);
+        if (nobles.length > 1) {
+            const nobleId = await this.chooseNoble(nobles);
+            if (nobleId === null || this.state !== state) return;
+            action = { ...action, nobleId: nobleId };
+        }
+        
+        // Trigger animations before execution (in parallel)
+        this.animateAction(action, this.state.currentPlayerIndex);
+        
+        this.executePlayerAction(action);
+    }
+    
+    /**
+     * Legal action matching the current selection, or null
+     */
+    getSelectedAction() {
+        const ActionType = this.wasm.module.ActionType;
         if (this.selectedGems.length > 0) {
-            // Gem action
-            // Check if 2 same, 3 different, 2 different, or single
-            const counts = {};
-            this.selectedGems.forEach(c => counts[c] = (counts[c] || 0) + 1);
-            const unique = Object.keys(counts).length;
-            
-            if (unique === 1 && this.selectedGems.length === 2) {
-                // Take 2 same
-                const gemsVector = new this.wasm.module.VectorGemColor();
-                this.mapColorsToEnum(this.selectedGems).forEach(g => gemsVector.push_back(g));
-                
-                action = {
-                    type: this.wasm.module.ActionType.TAKE_2_SAME,
-                    gems: gemsVector,
-                    cardId: 0, cardTier: 0, fromReserved: false, payment: this.emptyPayment()
-                };
-            } else if (unique === 3 && this.selectedGems.length === 3) {
-                // Take 3 different
-                const gemsVector = new this.wasm.module.VectorGemColor();
-                this.mapColorsToEnum(this.selectedGems).forEach(g => gemsVector.push_back(g));
-                
-                action = {
-                    type: this.wasm.module.ActionType.TAKE_3_DIFFERENT,
-                    gems: gemsVector,
-                    cardId: 0, cardTier: 0, fromReserved: false, payment: this.emptyPayment()
-                };
-            } else if (unique === 2 && this.selectedGems.length === 2) {
-                // Take 2 different (only valid when exactly 2 colors available)
-                const gemsVector = new this.wasm.module.VectorGemColor();
-                this.mapColorsToEnum(this.selectedGems).forEach(g => gemsVector.push_back(g));
-                
-                action = {
-                    type: this.wasm.module.ActionType.TAKE_2_DIFFERENT,
-                    gems: gemsVector,
-                    cardId: 0, cardTier: 0, fromReserved: false, payment: this.emptyPayment()
-                };
-            } else if (unique === 1 && this.selectedGems.length === 1) {
-                // Take single (only valid when exactly 1 color available)
-                const gemsVector = new this.wasm.module.VectorGemColor();
-                this.mapColorsToEnum(this.selectedGems).forEach(g => gemsVector.push_back(g));
-                
-                action = {
-                    type: this.wasm.module.ActionType.TAKE_SINGLE,
-                    gems: gemsVector,
-                    cardId: 0, cardTier: 0, fromReserved: false, payment: this.emptyPayment()
-                };
-            }
-        } else if (this.selectedCard) {
+            return this.findGemAction(this.selectedGems);
+        }
+        if (this.selectedCard) {
             if (this.selectedCard.id === -1) {
-                // Reserve from deck
-                const emptyGems = new this.wasm.module.VectorGemColor();
-                action = {
-                    type: this.wasm.module.ActionType.RESERVE_CARD,
-                    gems: emptyGems,
-                    cardId: -1,
-                    cardTier: this.selectedCardTier,
-                    fromReserved: false,
-                    payment: this.emptyPayment()
-                };
-            } else {
-                // Card action - Purchase or Reserve?
-                const player = this.state.players[this.state.currentPlayerIndex];
-                const card = this.findCard(this.selectedCard.id);
-                
-                if (this.canAfford(player, card)) {
-                    const emptyGems = new this.wasm.module.VectorGemColor();
-                    action = {
-                        type: this.wasm.module.ActionType.PURCHASE_CARD,
-                        gems: emptyGems,
-                        cardId: this.selectedCard.id,
-                        cardTier: this.selectedCardTier,
-                        fromReserved: false,
-                        payment: this.calculatePayment(player, card)
-                    };
-                } else {
-                    // Reserve
-                    const emptyGems = new this.wasm.module.VectorGemColor();
-                    action = {
-                        type: this.wasm.module.ActionType.RESERVE_CARD,
-                        gems: emptyGems,
-                        cardId: this.selectedCard.id,
-                        cardTier: this.selectedCardTier,
-                        fromReserved: false,
-                        payment: this.emptyPayment()
-                    };
-                }
+                return this.findCardAction(ActionType.RESERVE_CARD, -1, this.selectedCardTier);
             }
-        } else if (this.selectedReservedCard) {
-            // Purchase reserved
-            const player = this.state.players[this.state.currentPlayerIndex];
-            const card = this.findReservedCard(player, this.selectedReservedCard.id);
-            
-            if (this.canAfford(player, card)) {
-                const emptyGems = new this.wasm.module.VectorGemColor();
-                action = {
-                    type: this.wasm.module.ActionType.PURCHASE_RESERVED,
-                    gems: emptyGems,
-                    cardId: this.selectedReservedCard.id,
-                    cardTier: card.tier,
-                    fromReserved: true,
-                    payment: this.calculatePayment(player, card)
-                };
+            if (this.actionType === 'PURCHASE') {
+                return this.findCardAction(ActionType.PURCHASE_CARD, this.selectedCard.id);
+            }
+            if (this.actionType === 'RESERVE') {
+                return this.findCardAction(ActionType.RESERVE_CARD, this.selectedCard.id);
             }
+            return null; // Purchase or reserve not chosen yet
+        }
+        if (this.selectedReservedCard) {
+            return this.findCardAction(ActionType.PURCHASE_RESERVED, this.selectedReservedCard.id);
         }
+        return null;
+    }
+    
+    /**
+     * Fly the noble a move brought to its player, if any
+     * @param {Object} before - Position before the move
+     * @param {Object} after - Position after it
+     */
+    async animateNobleVisit(before, after, playerIndex) {
+        const owned = before.players[playerIndex].nobles;
+        const visitor = after.players[playerIndex].nobles.find(noble => !owned.some(n => n.id === noble.id));
+        if (visitor) {
+            this.sound.play('noble');
+            await this.ui.animateNoble(visitor.id, playerIndex);
+        }
+    }
+    
+    /**
+     * Animate an action on the board before it is executed
+     * Accepts both Embind actions (human) and plain integer actions (AI, game records)
+     */
+    async animateAction(action, playerIndex) {
+        const plainAction = this.wasm.toPlainAction(action);
+        const ActionType = this.wasm.module.ActionType;
         
-        if (action) {
-            // Trigger animations before execution (or in parallel)
-            // We need to know what action it is to animate correctly
-            if (action.type === this.wasm.module.ActionType.TAKE_2_SAME ||
-                action.type === this.wasm.module.ActionType.TAKE_3_DIFFERENT ||
-                action.type === this.wasm.module.ActionType.TAKE_2_DIFFERENT ||
-                action.type === this.wasm.module.ActionType.TAKE_SINGLE) {
-                // Convert vector back to array for animation
-                const gems = [];
-                for(let i=0; i<action.gems.size(); i++) gems.push(this.getGemColorString(action.gems.get(i)));
-                this.ui.animateGems(gems, this.state.currentPlayerIndex);
-            } else if (action.type === this.wasm.module.ActionType.PURCHASE_CARD ||
-                       action.type === this.wasm.module.ActionType.RESERVE_CARD ||
-                       action.type === this.wasm.module.ActionType.PURCHASE_RESERVED) {
-                this.ui.animateCard(action.cardId, action.cardTier, this.state.currentPlayerIndex);
-            }
-
-            this.executePlayerAction(action);
+        if (plainAction.type === ActionType.TAKE_2_SAME.value ||
+            plainAction.type === ActionType.TAKE_3_DIFFERENT.value ||
+            plainAction.type === ActionType.TAKE_2_DIFFERENT.value ||
+            plainAction.type === ActionType.TAKE_SINGLE.value) {
+            const gems = plainAction.gems.map(g => this.getGemColorString({value: g}));
+            this.sound.play('gems');
+            await this.ui.animateGems(gems, playerIndex);
+        } else if (plainAction.type === ActionType.PURCHASE_CARD.value ||
+                   plainAction.type === ActionType.RESERVE_CARD.value ||
+                   plainAction.type === ActionType.PURCHASE_RESERVED.value) {
+            this.sound.play(plainAction.type === ActionType.RESERVE_CARD.value ? 'reserve' : 'purchase');
+            await this.ui.animateCard(plainAction.cardId, plainAction.cardTier, playerIndex);
         }
     }
 
@@ -476,6 +868,11 @@ class GameController {
     
     endGame() {
         const winner = this.wasm.getWinner();
+        if (this.gameRecord) {
+            this.gameRecord.setResult(winner, this.state);
+        }
+        this.analysis.show();
+        this.sound.play('gameOver');
         this.ui.showGameOver(this.state, winner);
     }
     
@@ -484,75 +881,155 @@ class GameController {
     }
     
     isHumanTurn() {
-        return this.state && this.state.players[this.state.currentPlayerIndex].isHuman;
+        // Human input is disabled while the replay viewer is open
+        return !this.replay.isActive && this.state && this.state.players[this.state.currentPlayerIndex].isHuman;
     }
     
     isActionReady() {
-        if (this.selectedGems.length > 0) {
-            // Check validity
-            const counts = {};
-            this.selectedGems.forEach(c => counts[c] = (counts[c] || 0) + 1);
-            const unique = Object.keys(counts).length;
-            
-            // Count available gem colors in the pool
-            const availableColors = this.countAvailableGemColors();
-            
-            if (unique === 1 && this.selectedGems.length === 2) return true; // TAKE_2_SAME
-            if (unique === 3 && this.selectedGems.length === 3) return true; // TAKE_3_DIFFERENT
-            if (unique === 2 && this.selectedGems.length === 2 && availableColors === 2) return true; // TAKE_2_DIFFERENT (only when exactly 2 colors available)
-            if (unique === 1 && this.selectedGems.length === 1 && availableColors === 1) return true; // TAKE_SINGLE (only when exactly 1 color available)
-            return false;
-        }
-        if (this.selectedCard) return true; // Can always reserve if not affordable
-        if (this.selectedReservedCard) {
-            // Can only purchase if affordable
-            const player = this.state.players[this.state.currentPlayerIndex];
-            const card = this.findReservedCard(player, this.selectedReservedCard.id);
-            return this.canAfford(player, card);
-        }
-        return false;
+        return this.getSelectedAction() !== null;
     }
     
     getActionDescription() {
         if (this.selectedGems.length > 0) {
-            const counts = {};
-            this.selectedGems.forEach(c => counts[c] = (counts[c] || 0) + 1);
-            const unique = Object.keys(counts).length;
-            const availableColors = this.countAvailableGemColors();
+            const action = this.findGemAction(this.selectedGems);
+            if (!action) return I18n.t('action.invalid');
             
-            if (unique === 1 && this.selectedGems.length === 2) return "Take 2 Same";
-            if (unique === 3 && this.selectedGems.length === 3) return "Take 3 Different";
-            if (unique === 2 && this.selectedGems.length === 2 && availableColors === 2) return "Take 2 Different";
-            if (unique === 1 && this.selectedGems.length === 1 && availableColors === 1) return "Take Single";
-            return "Invalid Selection";
+            const ActionType = this.wasm.module.ActionType;
+            if (action.type === ActionType.TAKE_2_SAME.value) return I18n.t('action.take2Same');
+            if (action.type === ActionType.TAKE_3_DIFFERENT.value) return I18n.t('action.take3Different');
+            if (action.type === ActionType.TAKE_2_DIFFERENT.value) return I18n.t('action.take2Different');
+            return I18n.t('action.takeSingle');
         }
         if (this.selectedCard) {
-            if (this.selectedCard.id === -1) return "Reserve from Deck";
-            
-            const player = this.state.players[this.state.currentPlayerIndex];
-            const card = this.findCard(this.selectedCard.id);
-            if (this.canAfford(player, card)) return "Purchase Card";
-            return "Reserve Card";
+            if (this.selectedCard.id === -1) return I18n.t('action.reserveDeck');
+            if (this.actionType === 'PURCHASE') return I18n.t('action.purchaseCard');
+            if (this.actionType === 'RESERVE') return I18n.t('action.reserveCard');
+            return I18n.t('action.purchaseOrReserve');
         }
-        if (this.selectedReservedCard) return "Purchase Reserved";
+        if (this.selectedReservedCard) return I18n.t('action.purchaseReserved');
         return "";
     }
     
     // Helpers
-    mapColorsToEnum(colors) {
-        const map = {
-            'WHITE': this.wasm.module.GemColor.WHITE,
-            'BLUE': this.wasm.module.GemColor.BLUE,
-            'GREEN': this.wasm.module.GemColor.GREEN,
-            'RED': this.wasm.module.GemColor.RED,
-            'BLACK': this.wasm.module.GemColor.BLACK,
-            'GOLD': this.wasm.module.GemColor.GOLD
-        };
-        return colors.map(c => map[c]);
+    
+    /**
+     * Legal actions of the position on the board, as listed by the engine (cached per state)
+     */
+    getLegalActions() {
+        if (this.legalActionsState !== this.state) {
+            this.legalActionsState = this.state;
+            this.legalActions = this.state ? this.wasm.getLegalActions() : [];
+        }
+        return this.legalActions;
     }
     
-    emptyPayment() {
-        return { white: 0, blue: 0, green: 0, red: 0, black: 0, gold: 0 };
+    /**
+     * Nobles the player to move would attract with one of their legal purchases
+     * Works for any displayed position (the replay viewer's too), asking a scratch engine
+     * when it is not the position on the board.
+     * @returns {Array<number>} Noble ids
+     */
+    getClaimableNobles(state) {
+        let actions;
+        if (state === this.state) {
+            actions = this.getLegalActions();
+        } else {
+            const scratch = this.wasm.createScratch();
+            scratch.setGameState(state);
+            actions = scratch.getLegalActions();
+            scratch.dispose();
+        }
+        return this.wasm.claimableNobles(state, actions);
+    }
+    
+    /**
+     * Legal gem take of exactly these colors (names, any order), or null
+     */
+    findGemAction(colors) {
+        const key = this.gemValues(colors).sort().join(',');
+        return this.getLegalActions().find(action =>
+            this.isGemAction(action) && action.gems.slice().sort().join(',') === key) || null;
+    }
+    
+    /**
+     * Whether some legal gem take includes all of these colors (names), so the selection can grow into it
+     */
+    canSelectGems(colors) {
+        const wanted = this.gemValues(colors);
+        return this.getLegalActions().some(action => {
+            if (!this.isGemAction(action)) return false;
+            const remaining = action.gems.slice();
+            return wanted.every(value => {
+                const index = remaining.indexOf(value);
+                if (index < 0) return false;
+                remaining.splice(index, 1);
+                return true;
+            });
+        });
+    }
+    
+    /**
+     * Legal card action of a type for a card (cardId -1 with a tier for the deck), or null
+     */
+    findCardAction(type, cardId, cardTier = null) {
+        return this.getLegalActions().find(action =>
+            action.type === type.value && action.cardId === cardId &&
+            (cardTier === null || action.cardTier === cardTier)) || null;
+    }
+    
+    isGemAction(action) {
+        const ActionType = this.wasm.module.ActionType;
+        return action.type === ActionType.TAKE_3_DIFFERENT.value || action.type === ActionType.TAKE_2_SAME.value ||
+               action.type === ActionType.TAKE_2_DIFFERENT.value || action.type === ActionType.TAKE_SINGLE.value;
+    }
+    
+    gemValues(colors) {
+        return colors.map(color => this.wasm.module.GemColor[color].value);
+    }
+    
+    /**
+     * The engine's legal purchase of a card (board or reserve) for a player in a displayed
+     * position, or null. Asks a scratch engine, with that player to move, unless it is the
+     * player to move on the board.
+     */
+    findPurchaseAction(state, playerIndex, cardId) {
+        let actions;
+        if (state === this.state && playerIndex === state.currentPlayerIndex) {
+            actions = this.getLegalActions();
+        } else {
+            const scratch = this.wasm.createScratch();
+            scratch.setGameState({ ...state, currentPlayerIndex: playerIndex });
+            actions = scratch.getLegalActions();
+            scratch.dispose();
+        }
+        
+        const ActionType = this.wasm.module.ActionType;
+        return actions.find(action =>
+            (action.type === ActionType.PURCHASE_CARD.value || action.type === ActionType.PURCHASE_RESERVED.value) &&
+            action.cardId === cardId) || null;
+    }
+    
+    /**
+     * Whether the player to move can buy a card from the board or their reserve
+     */
+    canPurchase(card) {
+        const ActionType = this.wasm.module.ActionType;
+        return !!(this.findCardAction(ActionType.PURCHASE_CARD, card.id) ||
+                  this.findCardAction(ActionType.PURCHASE_RESERVED, card.id));
+    }
+    
+    /**
+     * Whether the player to move can reserve a board card
+     */
+    canReserve(card) {
+        return !!this.findCardAction(this.wasm.module.ActionType.RESERVE_CARD, card.id);
+    }
+    
+    /**
+     * Whether the player to move can reserve the top card of a deck (not with 3 reserved or an empty deck)
+     */
+    canReserveFromDeck(tier) {
+        return !!this.findCardAction(this.wasm.module.ActionType.RESERVE_CARD, -1, tier);
     }
     
     findCard(id) {
@@ -563,132 +1040,170 @@ class GameController {
         return null;
     }
     
-    findReservedCard(player, id) {
-        return player.reservedCards.find(c => c.id === id);
+    /**
+     * Payment for a purchase; asks the player when spare gold could stand in for colored gems
+     * @param {Object} enginePayment - Payment of the engine's legal purchase action
+     * @returns {Promise<Object|null>} The payment, or null if the player cancelled
+     */
+    choosePayment(player, card, enginePayment) {
+        // Only one purchase can wait for its payment
+        if (this.paymentResolver) {
+            return Promise.resolve(null);
+        }
+        
+        // The engine lists purchases with colored gems spent first, then gold
+        const payment = { ...enginePayment };
+        const spareGold = player.gems.gold - payment.gold;
+        const usesColoredGems = WasmInterface.GEM_KEYS.some(color => color !== 'gold' && payment[color] > 0);
+        if (spareGold <= 0 || !usesColoredGems || this.preferences.get('paymentConfirm') === 'never') {
+            return Promise.resolve(payment);
+        }
+        
+        return new Promise(resolve => {
+            this.paymentResolver = resolve;
+            this.showPaymentModal(player, card, payment);
+        });
     }
     
-    canAfford(player, card) {
-        // Simplified check, logic duplicated from C++ but needed for UI state
-        // We can also ask WASM but that requires async or complex binding
-        // Let's implement simple check here
-        let goldNeeded = 0;
-        const cost = card.cost;
-        const gems = player.gems;
-        const bonuses = player.bonuses;
+    showPaymentModal(player, card, payment) {
+        const modal = document.getElementById('payment-modal');
+        const rows = document.getElementById('payment-rows');
+        const summary = document.getElementById('payment-summary');
+        rows.innerHTML = '';
         
-        ['white', 'blue', 'green', 'red', 'black'].forEach(color => {
-            const needed = Math.max(0, cost[color] - bonuses[color]);
-            if (needed > gems[color]) {
-                goldNeeded += (needed - gems[color]);
-            }
+        WasmInterface.GEM_KEYS.filter(color => color !== 'gold').forEach(color => {
+            const needed = Math.max(0, card.cost[color] - player.bonuses[color]);
+            if (needed === 0) return;
+            
+            const row = document.createElement('div');
+            row.className = 'payment-row';
+            const goldHere = needed - payment[color];
+            const colorName = this.ui.colorName(color);
+            row.innerHTML = `
+                <div class="gem gem-${color}">${this.ui.colorSymbol(color)}</div>
+                <span class="payment-split">${I18n.t('payment.split', {
+                    colored: I18n.t('gems.amount', { count: payment[color], color: colorName }),
+                    gold: I18n.t('gems.amount', { count: goldHere, color: this.ui.colorName('gold') })
+                })}</span>
+                <button class="payment-less-gold" title="${I18n.t('payment.lessGold', { color: colorName })}">−</button>
+                <button class="payment-more-gold" title="${I18n.t('payment.moreGold', { color: colorName })}">+</button>
+            `;
+            
+            // Gold can replace any colored gem being paid; it can be swapped back while the player has that color
+            const lessGold = row.querySelector('.payment-less-gold');
+            const moreGold = row.querySelector('.payment-more-gold');
+            lessGold.disabled = goldHere === 0 || payment[color] >= player.gems[color];
+            moreGold.disabled = payment[color] === 0 || payment.gold >= player.gems.gold;
+            lessGold.onclick = () => {
+                if (lessGold.disabled) return;
+                payment[color]++;
+                payment.gold--;
+                this.showPaymentModal(player, card, payment);
+            };
+            moreGold.onclick = () => {
+                if (moreGold.disabled) return;
+                payment[color]--;
+                payment.gold++;
+                this.showPaymentModal(player, card, payment);
+            };
+            rows.appendChild(row);
         });
         
-        return gems.gold >= goldNeeded;
-    }
-    
-    calculatePayment(player, card) {
-        // Logic to determine payment (gems + gold)
-        const payment = this.emptyPayment();
-        let goldNeeded = 0;
-        const cost = card.cost;
-        const gems = player.gems;
-        const bonuses = player.bonuses;
-        
-        ['white', 'blue', 'green', 'red', 'black'].forEach(color => {
-            const needed = Math.max(0, cost[color] - bonuses[color]);
-            if (needed > 0) {
-                if (gems[color] >= needed) {
-                    payment[color] = needed;
-                } else {
-                    payment[color] = gems[color];
-                    goldNeeded += (needed - gems[color]);
-                }
-            }
-        });
-        payment.gold = goldNeeded;
-        return payment;
+        summary.textContent = I18n.t('payment.goldUsed', { used: payment.gold, total: player.gems.gold });
+        document.getElementById('payment-confirm-btn').onclick = () => this.closePaymentModal(payment);
+        document.getElementById('payment-cancel-btn').onclick = () => this.closePaymentModal(null);
+        modal.style.display = 'flex';
+    }
+    
+    closePaymentModal(payment) {
+        document.getElementById('payment-modal').style.display = 'none';
+        const resolve = this.paymentResolver;
+        this.paymentResolver = null;
+        if (resolve) {
+            resolve(payment);
+        }
     }
     
-    countAvailableGemColors() {
-        // Count how many non-gold gem colors have at least 1 gem available
-        let count = 0;
-        const colors = ['white', 'blue', 'green', 'red', 'black'];
-        colors.forEach(color => {
-            if (this.state.gemPool[color] > 0) count++;
+    /**
+     * Nobles the mover qualifies for after an action, when the engine says one visits
+     * The move is tried on a scratch engine, so payment and noble rules stay the engine's.
+     */
+    getNobleCandidates(action) {
+        const state = this.state;
+        const playerIndex = state.currentPlayerIndex;
+        const scratch = this.wasm.createScratch();
+        try {
+            scratch.setGameState(state);
+            if (!scratch.executeAction(action)) return [];
+            
+            const player = scratch.getGameState().players[playerIndex];
+            if (player.nobles.length === state.players[playerIndex].nobles.length) return [];
+            return state.nobles.filter(noble => WasmInterface.meetsRequirements(player.bonuses, noble.requirements));
+        } finally {
+            scratch.dispose();
+        }
+    }
+    
+    /**
+     * Ask the player which of several eligible nobles visits
+     * @returns {Promise<number|null>} The chosen noble's id, or null if the player cancelled
+     */
+    chooseNoble(nobles) {
+        if (this.nobleResolver) {
+            return Promise.resolve(null);
+        }
+        
+        return new Promise(resolve => {
+            this.nobleResolver = resolve;
+            const options = document.getElementById('noble-choice-options');
+            options.innerHTML = '';
+            nobles.forEach(noble => {
+                const el = this.ui.createNobleElement(noble);
+                el.classList.add('noble-option');
+                el.title = this.ui.describeNoble(noble);
+                el.onclick = () => this.closeNobleModal(noble.id);
+                options.appendChild(el);
+            });
+            document.getElementById('noble-cancel-btn').onclick = () => this.closeNobleModal(null);
+            document.getElementById('noble-modal').style.display = 'flex';
         });
-        return count;
     }
     
-    showGemDiscardModal() {
+    closeNobleModal(nobleId) {
+        document.getElementById('noble-modal').style.display = 'none';
+        const resolve = this.nobleResolver;
+        this.nobleResolver = null;
+        if (resolve) {
+            resolve(nobleId);
+        }
+    }
+    
+    /**
+     * Return gems chosen in the discard dialog and carry on with the game
+     * @param {Array} colors - Integer GemColor value of every gem to return
+     */
+    async applyDiscards(colors) {
         const playerId = this.wasm.getDiscardingPlayer();
-        const player = this.state.players[playerId];
-        const totalGems = player.gems.white + player.gems.blue + player.gems.green +
-                         player.gems.red + player.gems.black + player.gems.gold;
-        const toDiscard = totalGems - 10;
-        
-        const modal = document.getElementById('gem-discard-modal');
-        const message = document.getElementById('discard-message');
-        const optionsContainer = document.getElementById('discard-gem-options');
-        
-        message.textContent = `You have ${totalGems} gems (limit is 10). Select a gem to discard (${toDiscard} remaining):`;
-        
-        // Clear previous options
-        optionsContainer.innerHTML = '';
-        
-        // Create buttons for each gem color the player has
-        const colors = ['white', 'blue', 'green', 'red', 'black', 'gold'];
-        const colorNames = ['WHITE', 'BLUE', 'GREEN', 'RED', 'BLACK', 'GOLD'];
-        
-        colors.forEach((color, index) => {
-            const count = player.gems[color];
-            if (count > 0) {
-                const button = document.createElement('button');
-                button.className = 'discard-gem-btn';
-                button.innerHTML = `
-                    <div class="gem gem-${color}"></div>
-                    <span>${colorNames[index]} (${count})</span>
-                `;
-                button.onclick = () => this.onDiscardGem(colorNames[index]);
-                optionsContainer.appendChild(button);
+        for (const color of colors) {
+            if (!this.wasm.discardGem(playerId, color)) {
+                console.error('Discard rejected by the engine:', color);
+                break;
             }
-        });
+            this.gameRecord.addDiscard(color);
+        }
         
-        modal.style.display = 'flex';
-    }
-    
-    async onDiscardGem(colorName) {
-        const colorMap = {
-            'WHITE': this.wasm.module.GemColor.WHITE.value,
-            'BLUE': this.wasm.module.GemColor.BLUE.value,
-            'GREEN': this.wasm.module.GemColor.GREEN.value,
-            'RED': this.wasm.module.GemColor.RED.value,
-            'BLACK': this.wasm.module.GemColor.BLACK.value,
-            'GOLD': this.wasm.module.GemColor.GOLD.value
-        };
+        this.discard.close();
+        this.updateState();
+        this.ui.render(this.state);
+        this.updateHistoryUI();
         
-        const playerId = this.wasm.getDiscardingPlayer();
-        const success = this.wasm.discardGem(playerId, colorMap[colorName]);
+        // A rejected discard leaves the dialog open (updateState shows it again)
+        if (this.wasm.needsGemDiscard()) return;
         
-        if (success) {
-            this.updateState();
-            this.ui.render(this.state);
-            
-            // Check if we still need to discard more gems
-            if (!this.wasm.needsGemDiscard()) {
-                // Close modal
-                document.getElementById('gem-discard-modal').style.display = 'none';
-                
-                // Check if game is over
-                if (this.wasm.isGameOver()) {
-                    this.endGame();
-                } else {
-                    // Check if it's now AI's turn
-                    await this.checkAITurn();
-                }
-            } else {
-                // Update the modal with new counts
-                this.showGemDiscardModal();
-            }
+        if (this.wasm.isGameOver()) {
+            this.endGame();
+        } else {
+            await this.checkAITurn();
         }
     }
 }
\ No newline at end of file
@@ -0,0 +1,200 @@
+/**
+ * GameRecord - Versioned, serializable record of a single game
+ * Holds everything needed to reproduce a game through WasmInterface.executeAction:
+ * the initial state (including the shuffled deck order), the first player,
+ * the seat lineup with its AI settings and the ordered list of actions with any
+ * gem discards that followed them.
+ */
+class GameRecord {
+    /**
+     * @param {Object} options
+     * @param {Object} options.initialState - State JSON right after the game was set up
+     * @param {number} options.firstPlayer - Index of the player who moved first
+     * @param {Array} options.seats - { type, name, timeLimit, difficulty, level } per seat
+     */
+    constructor({ initialState, firstPlayer = 0, seats = null }) {
+        this.version = GameRecord.VERSION;
+        this.createdAt = new Date().toISOString();
+        this.initialState = JSON.parse(JSON.stringify(initialState));
+        this.firstPlayer = firstPlayer;
+        this.seats = seats ? seats.map(seat => ({ ...seat })) : GameRecord.seatsFromState(this.initialState);
+        this.actions = [];
+        this.result = null;
+    }
+
+    /**
+     * Append an executed action
+     * @param {number} playerIndex - Player who made the action
+     * @param {Object} action - Plain action (integer enums, gem array)
+     */
+    addAction(playerIndex, action) {
+        this.actions.push({
+            player: playerIndex,
+            action: JSON.parse(JSON.stringify(action)),
+            discards: []
+        });
+        this.result = null;
+    }
+
+    /**
+     * Append a gem discard to the last action (discards resolve the action that caused them)
+     * @param {number} gemColorValue - Integer GemColor value
+     */
+    addDiscard(gemColorValue) {
+        const last = this.actions[this.actions.length - 1];
+        if (!last) {
+            throw new Error('Cannot record a discard before any action');
+        }
+        last.discards.push(gemColorValue);
+    }
+
+    /**
+     * Remove and return the last action (used by undo)
+     */
+    popAction() {
+        this.result = null;
+        return this.actions.pop();
+    }
+
+    /**
+     * Replay the record through a WasmInterface, starting from the initial state
+     * @param {WasmInterface} wasm - Interface whose engine receives the actions
+     * @param {Function} onBeforeAction - Optional callback (entry, index) run before each action
+     */
+    replay(wasm, onBeforeAction = null) {
+        wasm.setGameState(this.initialState);
+        wasm.setPlayerNames(this.seats.map(seat => seat.name));
+
+        this.actions.forEach((entry, index) => {
+            if (onBeforeAction) {
+                onBeforeAction(entry, index);
+            }
+            if (!wasm.executeAction(entry.action)) {
+                throw new Error(`Recorded action #${index + 1} was rejected by the engine`);
+            }
+            entry.discards.forEach(color => {
+                if (!wasm.discardGem(wasm.getDiscardingPlayer(), color)) {
+                    throw new Error(`Recorded discard after action #${index + 1} was rejected by the engine`);
+                }
+            });
+        });
+    }
+
+    /**
+     * Mark the game as finished
+     */
+    setResult(winnerIndex, finalState) {
+        this.result = {
+            winner: winnerIndex,
+            points: finalState.players.map(p => p.points),
+            turns: finalState.turnNumber
+        };
+    }
+
+    toJSON() {
+        return {
+            format: GameRecord.FORMAT,
+            version: this.version,
+            createdAt: this.createdAt,
+            firstPlayer: this.firstPlayer,
+            seats: this.seats,
+            initialState: this.initialState,
+            actions: this.actions,
+            result: this.result
+        };
+    }
+
+    /**
+     * Build a record from parsed JSON, validating its shape
+     * @param {Object} data - Parsed record file
+     * @returns {GameRecord}
+     */
+    static fromJSON(data) {
+        if (!data || data.format !== GameRecord.FORMAT) {
+            throw new Error('Not a Splendor game record');
+        }
+        if (typeof data.version !== 'number' || data.version > GameRecord.VERSION) {
+            throw new Error(`Unsupported game record version: ${data.version}`);
+        }
+        if (!data.initialState || !Array.isArray(data.initialState.players)) {
+            throw new Error('Game record has no initial state');
+        }
+        if (!Array.isArray(data.actions)) {
+            throw new Error('Game record has no action list');
+        }
+
+        data.actions.forEach((entry, index) => {
+            if (!entry || !entry.action || typeof entry.action.type !== 'number' ||
+                typeof entry.player !== 'number') {
+                throw new Error(`Malformed action #${index + 1} in game record`);
+            }
+        });
+
+        if (data.seats && (!Array.isArray(data.seats) || data.seats.length !== data.initialState.players.length)) {
+            throw new Error('Game record seats do not match its players');
+        }
+
+        const record = new GameRecord({
+            initialState: data.initialState,
+            firstPlayer: data.firstPlayer,
+            seats: data.seats
+        });
+        record.createdAt = data.createdAt || record.createdAt;
+        record.actions = data.actions.map(entry => ({
+            player: entry.player,
+            action: entry.action,
+            discards: Array.isArray(entry.discards) ? entry.discards.slice() : []
+        }));
+        record.result = data.result || null;
+        return record;
+    }
+
+    /**
+     * Derive a lineup from the players of a state (for hand-written records without seats)
+     */
+    static seatsFromState(state) {
+        return state.players.map(player => ({
+            type: player.isHuman ? 'human' : 'ai',
+            name: player.name,
+            timeLimit: 2.5,
+            difficulty: 5000000
+        }));
+    }
+
+    /**
+     * Read a record from a user-selected file
+     * @param {File} file
+     * @returns {Promise<GameRecord>}
+     */
+    static async fromFile(file) {
+        const text = await file.text();
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('File is not valid JSON');
+        }
+        return GameRecord.fromJSON(data);
+    }
+
+    /**
+     * Save the record as a JSON file through the browser download flow
+     */
+    download(filename = null) {
+        const name = filename || `splendor-game-${this.createdAt.slice(0, 19).replace(/[:T]/g, '-')}.json`;
+        const blob = new Blob([JSON.stringify(this.toJSON(), null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = name;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
+
+GameRecord.FORMAT = 'zsplendor-game-record';
+GameRecord.VERSION = 1;
\ No newline at end of file
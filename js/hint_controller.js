@@ -0,0 +1,200 @@
+/**
+ * HintController - "Hint" panel for the human player's current position
+ * Runs the analysis in its own AI worker (so it never delays the game's AI), lists
+ * the engine's move first and every other legal move after it by its win rate in
+ * playouts (with the number of playouts behind it, labelled as rough estimates), and
+ * highlights the selected move on the board.
+ */
+class HintController {
+    constructor(gameController) {
+        this.game = gameController;
+        this.proxy = null; // Dedicated AIWorkerProxy, created on first use
+        this.topN = 3;
+        this.analysis = null;
+        this.selectedIndex = 0;
+        this.isAnalyzing = false;
+        // Position the analysis belongs to: the game record and how many actions it had
+        this.positionRecord = null;
+        this.positionCount = -1;
+        this.elements = {};
+    }
+
+    init() {
+        this.elements = {
+            hintBtn: document.getElementById('hint-btn'),
+            panel: document.getElementById('hint-panel'),
+            closeBtn: document.getElementById('hint-close-btn'),
+            status: document.getElementById('hint-status'),
+            list: document.getElementById('hint-list')
+        };
+
+        this.elements.hintBtn.addEventListener('click', () => this.analyze());
+        this.elements.closeBtn.addEventListener('click', () => this.close());
+        this.elements.list.addEventListener('click', (e) => {
+            const item = e.target.closest('.hint-item');
+            if (item) {
+                this.select(parseInt(item.getAttribute('data-index')));
+            }
+        });
+    }
+
+    async getProxy() {
+        if (!this.proxy) {
+            this.proxy = new AIWorkerProxy();
+            await this.proxy.initialize();
+            this.proxy.onProgress((progress) => this.showProgress(progress));
+        }
+        return this.proxy;
+    }
+
+    isCurrentPosition() {
+        const record = this.game.gameRecord;
+        return !!record && this.positionRecord === record && this.positionCount === record.actions.length;
+    }
+
+    /**
+     * Analyze the position on the board for the human to move
+     */
+    async analyze() {
+        if (!this.game.isHumanTurn() || this.isAnalyzing) return;
+
+        const state = this.game.state;
+        this.analysis = null;
+        this.selectedIndex = 0;
+        this.positionRecord = this.game.gameRecord;
+        this.positionCount = this.game.gameRecord.actions.length;
+        this.isAnalyzing = true;
+
+        this.elements.panel.classList.remove('hidden');
+        this.elements.list.innerHTML = '';
+        this.elements.status.textContent = I18n.t('hint.analyzing');
+        this.update();
+
+        try {
+            const proxy = await this.getProxy();
+            const analysis = await proxy.analyzePosition(state, state.currentPlayerIndex, { topN: this.topN });
+            if (!this.isCurrentPosition()) return;
+
+            this.analysis = analysis;
+            this.renderList();
+            this.applyHighlight();
+        } catch (error) {
+            if (error.cancelled) return;
+            console.error('Hint analysis failed:', error);
+            this.elements.status.textContent = I18n.t('hint.failed', { message: error.message });
+        } finally {
+            this.isAnalyzing = false;
+            this.update();
+        }
+    }
+
+    /**
+     * Drop the analysis (and abort it if it is still running)
+     */
+    close() {
+        if (this.isAnalyzing && this.proxy) {
+            this.proxy.cancel();
+        }
+        this.analysis = null;
+        this.positionRecord = null;
+        this.positionCount = -1;
+        this.elements.panel.classList.add('hidden');
+        this.applyHighlight();
+    }
+
+    select(index) {
+        if (!this.analysis || !this.analysis.moves[index]) return;
+        this.selectedIndex = index;
+        this.renderList();
+        this.applyHighlight();
+    }
+
+    /**
+     * Refresh after any change to the game; an analysis of an older position is discarded
+     */
+    update() {
+        if (!this.elements.hintBtn) return;
+
+        if ((this.analysis || this.isAnalyzing) && !this.isCurrentPosition()) {
+            this.close();
+        }
+        this.elements.hintBtn.disabled = this.isAnalyzing || !this.game.isHumanTurn() ||
+            this.game.wasm.needsGemDiscard();
+    }
+
+    showProgress(progress) {
+        if (!this.isAnalyzing) return;
+        const percent = Math.round(progress.done * 100);
+        const key = { search: 'hint.searching', screening: 'hint.screening' }[progress.phase] || 'hint.playingOut';
+        this.elements.status.textContent = I18n.t(key, { percent: percent });
+    }
+
+    onLocaleChange() {
+        if (this.analysis) {
+            this.renderList();
+        }
+    }
+
+    renderList() {
+        const { list, status } = this.elements;
+        const moves = this.analysis.moves;
+        const state = this.game.state;
+        list.innerHTML = '';
+
+        status.textContent = moves.length > 0 ?
+            I18n.t('hint.ranked', { count: moves.length }) :
+            I18n.t('hint.none');
+
+        moves.forEach((move, index) => {
+            const li = document.createElement('li');
+            li.className = `hint-item ${index === this.selectedIndex ? 'selected' : ''}`;
+            li.setAttribute('data-index', index);
+
+            let stats = index < this.analysis.estimatedCount ?
+                I18n.t('hint.playouts', {
+                    wins: move.wins,
+                    count: move.playouts,
+                    win: move.winProbability === null ? '–' : I18n.formatNumber(move.winProbability, { style: 'percent' })
+                }) :
+                I18n.t('hint.screened', { wins: move.screenWins, count: move.screenPlayouts });
+            if (move.isEngineChoice) {
+                stats += ` · ${I18n.t('hint.engineChoice')}`;
+            }
+            li.innerHTML = `
+                <div class="hint-move"></div>
+                <div class="hint-stats">${stats}</div>
+            `;
+            li.querySelector('.hint-move').textContent =
+                this.game.ui.describeMove(move.action, state, state.currentPlayerIndex);
+            list.appendChild(li);
+        });
+    }
+
+    /**
+     * Mark the gems, card or deck of the selected move (called after every render)
+     */
+    applyHighlight() {
+        document.querySelectorAll('.hint-highlight').forEach(el => el.classList.remove('hint-highlight'));
+        if (!this.analysis || this.game.replay.isActive || !this.isCurrentPosition()) return;
+
+        const move = this.analysis.moves[this.selectedIndex];
+        if (!move) return;
+
+        const action = move.action;
+        const ActionType = this.game.wasm.module.ActionType;
+        let targets;
+        if (action.type === ActionType.RESERVE_CARD.value && action.cardId === -1) {
+            targets = document.querySelectorAll(`.card.deck.tier-${action.cardTier}`);
+        } else if (action.type === ActionType.RESERVE_CARD.value ||
+                   action.type === ActionType.PURCHASE_CARD.value ||
+                   action.type === ActionType.PURCHASE_RESERVED.value) {
+            targets = document.querySelectorAll(`.card[data-card-id="${action.cardId}"]`);
+        } else {
+            targets = action.gems.map(value =>
+                document.querySelector(`.gem-stack[data-color="${this.game.getGemColorString({ value: value })}"]`));
+        }
+        targets.forEach(el => {
+            if (el) el.classList.add('hint-highlight');
+        });
+    }
+}
\ No newline at end of file
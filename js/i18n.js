@@ -0,0 +1,125 @@
+/**
+ * I18n - Message catalogs and locale switching for all player-facing text
+ * Each locale registers its catalog from js/locales/<locale>.js. A message is a string
+ * with {name} placeholders or, when it depends on a count, an object of plural forms
+ * picked by Intl.PluralRules (zero/one/two/few/many/other) from params.count.
+ * Keys missing from a catalog fall back to English, then to the key itself.
+ * Static markup is translated through data-i18n (text), data-i18n-title and
+ * data-i18n-placeholder attributes.
+ */
+class I18n {
+    /**
+     * @param {string} locale - e.g. 'en'
+     * @param {string} name - Name of the language in that language, for the picker
+     * @param {Object} messages - Flat map of message keys
+     */
+    static register(locale, name, messages) {
+        I18n.catalogs[locale] = { name, messages };
+    }
+
+    static getLocales() {
+        return Object.keys(I18n.catalogs).map(locale => ({ locale, name: I18n.catalogs[locale].name }));
+    }
+
+    /**
+     * Pick the saved locale, else the browser's language, else English
+     */
+    static init() {
+        let locale = null;
+        try {
+            locale = window.localStorage.getItem(I18n.STORAGE_KEY);
+        } catch (error) {
+            // No storage (private mode, sandboxed frames): use the browser language
+        }
+        if (!I18n.catalogs[locale]) {
+            const language = (navigator.language || I18n.DEFAULT_LOCALE).split('-')[0];
+            locale = I18n.catalogs[language] ? language : I18n.DEFAULT_LOCALE;
+        }
+        I18n.locale = locale;
+        I18n.translatePage();
+    }
+
+    /**
+     * Switch language, remember it and let every view re-render its text
+     */
+    static setLocale(locale) {
+        if (!I18n.catalogs[locale] || locale === I18n.locale) return;
+
+        I18n.locale = locale;
+        try {
+            window.localStorage.setItem(I18n.STORAGE_KEY, locale);
+        } catch (error) {
+            console.warn('Could not save the language choice:', error);
+        }
+        I18n.translatePage();
+        I18n.listeners.forEach(listener => listener(locale));
+    }
+
+    static onChange(listener) {
+        I18n.listeners.push(listener);
+    }
+
+    /**
+     * Translate a message
+     * @param {string} key - Message key, e.g. 'status.yourTurn'
+     * @param {Object} params - Placeholder values; count also selects the plural form
+     */
+    static t(key, params = {}) {
+        let message = I18n.lookup(I18n.locale, key);
+        let locale = I18n.locale;
+        if (message === undefined) {
+            message = I18n.lookup(I18n.DEFAULT_LOCALE, key);
+            locale = I18n.DEFAULT_LOCALE;
+        }
+        if (message === undefined) return key;
+
+        if (typeof message === 'object') {
+            const form = new Intl.PluralRules(locale).select(params.count || 0);
+            message = message[form] !== undefined ? message[form] : message.other;
+        }
+        return message.replace(/\{(\w+)\}/g, (match, name) => {
+            if (params[name] === undefined) return match;
+            return typeof params[name] === 'number' ? I18n.formatNumber(params[name]) : params[name];
+        });
+    }
+
+    static lookup(locale, key) {
+        const catalog = I18n.catalogs[locale];
+        return catalog ? catalog.messages[key] : undefined;
+    }
+
+    /**
+     * Number in the current locale's format (digit grouping, decimal separator)
+     */
+    static formatNumber(value, options = {}) {
+        return new Intl.NumberFormat(I18n.locale, options).format(value);
+    }
+
+    static formatDate(date) {
+        return date.toLocaleString(I18n.locale);
+    }
+
+    /**
+     * Translate the static markup under root
+     */
+    static translatePage(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(el => {
+            el.textContent = I18n.t(el.getAttribute('data-i18n'));
+        });
+        root.querySelectorAll('[data-i18n-title]').forEach(el => {
+            el.title = I18n.t(el.getAttribute('data-i18n-title'));
+        });
+        root.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
+            el.placeholder = I18n.t(el.getAttribute('data-i18n-placeholder'));
+        });
+        if (root === document) {
+            document.documentElement.lang = I18n.locale;
+        }
+    }
+}
+
+I18n.DEFAULT_LOCALE = 'en';
+I18n.STORAGE_KEY = 'zsplendor-locale';
+I18n.catalogs = {};
+I18n.locale = I18n.DEFAULT_LOCALE;
+I18n.listeners = [];
\ No newline at end of file
@@ -0,0 +1,234 @@
+/**
+ * KeyboardController - Mouse-free play
+ * Gem letters toggle gems (Shift takes two of a color), the arrow keys move a cursor over
+ * the decks, the board cards and the reserved cards of the player to move, and Space picks
+ * what is under the cursor. Every key goes through the same GameController handlers as
+ * the mouse, so the rules and legality checks are shared.
+ */
+class KeyboardController {
+    constructor(gameController) {
+        this.game = gameController;
+        this.cursor = null; // { row, col } once the arrow keys have been used
+        this.elements = {};
+    }
+
+    init() {
+        this.elements = {
+            helpModal: document.getElementById('keyboard-help-modal'),
+            helpBtn: document.getElementById('keyboard-help-btn'),
+            helpCloseBtn: document.getElementById('keyboard-help-close-btn')
+        };
+
+        this.elements.helpBtn.addEventListener('click', () => this.toggleHelp());
+        this.elements.helpCloseBtn.addEventListener('click', () => this.toggleHelp(false));
+    }
+
+    toggleHelp(show = !this.isHelpOpen()) {
+        this.elements.helpModal.style.display = show ? 'flex' : 'none';
+    }
+
+    isHelpOpen() {
+        return this.elements.helpModal.style.display === 'flex';
+    }
+
+    /**
+     * Handle a keydown without Ctrl/Cmd (those are the undo/redo shortcuts)
+     * @returns {boolean} Whether the key was used
+     */
+    handleKey(e) {
+        const key = e.key;
+        if (key === '?') {
+            this.toggleHelp();
+            return true;
+        }
+        if (this.isHelpOpen()) {
+            if (key === 'Escape') this.toggleHelp(false);
+            return key === 'Escape';
+        }
+        if (this.handleDialogKey(e)) return true;
+        if (this.isDialogOpen()) return false;
+
+        const game = this.game;
+        // Letters are matched by physical key so they work on any keyboard layout
+        const color = KeyboardController.GEM_KEYS[e.code];
+        if (color) {
+            if (e.shiftKey) {
+                game.onGemDoubleClick(color);
+            } else {
+                game.onGemClick(color);
+            }
+            return true;
+        }
+        if (e.code === 'KeyU') {
+            game.unwindAction();
+            return true;
+        }
+
+        switch (key) {
+            case 'ArrowUp':
+                return this.moveCursor(-1, 0);
+            case 'ArrowDown':
+                return this.moveCursor(1, 0);
+            case 'ArrowLeft':
+                return this.moveCursor(0, -1);
+            case 'ArrowRight':
+                return this.moveCursor(0, 1);
+            case '1':
+            case '2':
+            case '3':
+                // Tier rows are shown from tier 3 down to tier 1
+                return this.setCursor(3 - parseInt(key), this.cursor ? this.cursor.col : 1);
+            case ' ':
+                return this.activate(e.shiftKey);
+            case 'Enter':
+                return this.confirm(e.shiftKey);
+            case 'Escape':
+                game.onCancelAction();
+                return true;
+            default:
+                return false;
+        }
+    }
+
+    isDialogOpen() {
+        return Array.from(document.querySelectorAll('.modal')).some(modal => modal.style.display === 'flex');
+    }
+
+    /**
+     * Enter/Escape for the payment choice, digits and Escape for the noble choice
+     */
+    handleDialogKey(e) {
+        if (document.getElementById('payment-modal').style.display === 'flex') {
+            if (e.key === 'Enter') {
+                document.getElementById('payment-confirm-btn').click();
+                return true;
+            }
+            if (e.key === 'Escape') {
+                this.game.closePaymentModal(null);
+                return true;
+            }
+            return false;
+        }
+
+        if (document.getElementById('noble-modal').style.display === 'flex') {
+            const options = document.querySelectorAll('#noble-choice-options .noble');
+            const index = parseInt(e.key) - 1;
+            if (index >= 0 && index < options.length) {
+                options[index].click();
+                return true;
+            }
+            if (e.key === 'Escape') {
+                this.game.closeNobleModal(null);
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Rows the cursor moves over: tier 3, 2 and 1 (deck first, then the cards),
+     * then the reserved cards of the player to move
+     */
+    getRows() {
+        const state = this.game.state;
+        if (!state) return [];
+
+        const rows = [3, 2, 1].map(tier => [{ type: 'deck', tier: tier }].concat(
+            state.visibleCards[tier - 1].map(card => ({ type: 'card', id: card.id, tier: tier }))));
+        const reserved = state.players[state.currentPlayerIndex].reservedCards;
+        if (reserved.length > 0) {
+            rows.push(reserved.map(card => ({ type: 'reserved', id: card.id, tier: card.tier })));
+        }
+        return rows;
+    }
+
+    getFocusedItem() {
+        if (!this.cursor) return null;
+        const row = this.getRows()[this.cursor.row];
+        return row ? row[Math.min(this.cursor.col, row.length - 1)] : null;
+    }
+
+    moveCursor(rowDelta, colDelta) {
+        if (!this.cursor) {
+            // The first arrow press shows the cursor on the first tier 1 card
+            return this.setCursor(2, 1);
+        }
+        return this.setCursor(this.cursor.row + rowDelta, this.cursor.col + colDelta);
+    }
+
+    setCursor(row, col) {
+        const rows = this.getRows();
+        if (rows.length === 0 || !this.game.isHumanTurn()) return false;
+
+        row = Math.max(0, Math.min(row, rows.length - 1));
+        col = Math.max(0, Math.min(col, rows[row].length - 1));
+        this.cursor = { row, col };
+        this.applyFocus();
+        return true;
+    }
+
+    /**
+     * Space selects what is under the cursor, like a click; Shift+Space reserves a board card
+     */
+    activate(reserve) {
+        const item = this.getFocusedItem();
+        if (!item) return false;
+
+        const game = this.game;
+        if (item.type === 'deck') {
+            game.onDeckClick(item.tier);
+        } else if (item.type === 'card') {
+            game.onCardClick(item.id, item.tier, reserve ? 'RESERVE' : null);
+        } else {
+            game.onReservedCardClick(item.id);
+        }
+        return true;
+    }
+
+    /**
+     * Enter confirms the selection; a board card still waiting for Purchase or Reserve
+     * is bought (or reserved with Shift+Enter)
+     */
+    confirm(reserve) {
+        const game = this.game;
+        const card = game.selectedCard;
+        if (card && card.id !== -1 && game.actionType !== 'PURCHASE' && game.actionType !== 'RESERVE') {
+            game.chooseCardAction(reserve ? 'RESERVE' : 'PURCHASE');
+        } else {
+            game.onConfirmAction();
+        }
+        return true;
+    }
+
+    /**
+     * Mark the element under the cursor (called after every render)
+     */
+    applyFocus() {
+        document.querySelectorAll('.keyboard-focus').forEach(el => el.classList.remove('keyboard-focus'));
+        if (this.game.replay.isActive || !this.game.isHumanTurn()) return;
+
+        const item = this.getFocusedItem();
+        if (!item) return;
+
+        let el;
+        if (item.type === 'deck') {
+            el = document.querySelector(`#tier${item.tier}-cards .card.deck`);
+        } else if (item.type === 'card') {
+            el = document.querySelector(`#tier${item.tier}-cards .card[data-card-id="${item.id}"]`);
+        } else {
+            el = document.querySelector(`.reserved-card-full[data-card-id="${item.id}"]`);
+        }
+        if (el) {
+            el.classList.add('keyboard-focus');
+        }
+    }
+}
+
+// Gem toggles by KeyboardEvent.code (K for black, as B is blue)
+KeyboardController.GEM_KEYS = {
+    KeyW: 'WHITE',
+    KeyB: 'BLUE',
+    KeyG: 'GREEN',
+    KeyR: 'RED',
+    KeyK: 'BLACK'
+};
\ No newline at end of file
@@ -0,0 +1,404 @@
+/**
+ * English messages (also the fallback for keys other catalogs lack)
+ */
+I18n.register('en', 'English', {
+    // Gem colors and counted gems ("3 white")
+    'color.white': 'white',
+    'color.blue': 'blue',
+    'color.green': 'green',
+    'color.red': 'red',
+    'color.black': 'black',
+    'color.gold': 'gold',
+    'gems.amount': '{count} {color}',
+    'gems.moreOf': '{count} more {color}',
+    'list.separator': ', ',
+
+    // Header
+    'header.unwind': '↶ Unwind',
+    'header.unwindTitle': 'Undo back to your last move (U; Ctrl+Z undoes one move)',
+    'header.redo': '↷ Redo',
+    'header.redoTitle': 'Redo (Ctrl+Shift+Z)',
+    'header.history': '📜 History ({count})',
+    'header.historyTitle': 'Move history',
+    'header.resumeHere': '▶ Resume play from here',
+    'header.save': '💾 Save',
+    'header.saveTitle': 'Download this game as a file',
+    'header.load': '📂 Load',
+    'header.loadTitle': 'Load a game from a file',
+    'header.replay': '🎬 Replay',
+    'header.replayTitle': 'Step through this game',
+    'header.keys': '⌨ Keys',
+    'header.keysTitle': 'Keyboard shortcuts (?)',
+    'header.arena': '🏆 Bot Arena',
+    'header.language': 'Language',
+    'header.settings': '⚙ Settings',
+    'header.settingsTitle': 'Settings',
+    'header.turn': 'Turn: {turn}',
+    'header.currentPlayer': 'Current Player: {name}',
+    'header.aiLevel': 'AI: {levels}',
+
+    // Status line
+    'status.welcome': 'Welcome to Splendor!',
+    'status.rewound': 'History rewound: redo the next move or resume play.',
+    'status.paused': 'Paused: press Resume or Step to continue.',
+    'status.yourTurn': 'Your turn! Select an action.',
+    'status.playerTurn': '{name}\'s turn! Select an action.',
+    'status.thinking': '{name} is thinking...',
+    'status.engineError': 'Error loading game engine. Please check console.',
+    'history.start': 'Start of game',
+
+    // AI search
+    'ai.moveNow': '⚡ Move now',
+    'ai.moveNowTitle': 'Play the best move found so far',
+    'ai.moveNowUnavailable': 'Move now needs a cross-origin isolated page: serve the game over https (or from localhost) so its service worker can isolate it, or send the COOP/COEP headers',
+    'ai.iterations': { one: '≈ {count} iteration', other: '≈ {count} iterations' },
+
+    // Replay viewer
+    'replay.label': '🎬 Replay',
+    'replay.first': 'First move',
+    'replay.back': 'Step back',
+    'replay.play': 'Auto-play',
+    'replay.pause': 'Pause',
+    'replay.forward': 'Step forward',
+    'replay.last': 'Last move',
+    'replay.position': 'Move {index} / {total}',
+    'replay.speed': 'Auto-play speed',
+    'replay.open': 'Open a game file',
+    'replay.exit': '✕ Exit',
+    'replay.exitTitle': 'Close the replay',
+    'replay.startOfGame': 'Replay: start of game',
+    'replay.move': 'Replay: {move}',
+    'replay.winner': '{status} — {name} wins!',
+    'replay.openFailed': 'Failed to open replay: {message}',
+
+    // Spectator bar
+    'spectator.label': '👁 AI moves',
+    'spectator.pause': '⏸ Pause',
+    'spectator.pauseTitle': 'Pause after the current AI move',
+    'spectator.resume': '▶ Resume',
+    'spectator.step': '⏭ Step',
+    'spectator.stepTitle': 'Play the next AI move',
+    'spectator.delay': 'Delay',
+    'spectator.delayTitle': 'Pause before each AI move',
+    'spectator.noDelay': 'None',
+    'spectator.pausing': 'Pausing after this move…',
+    'spectator.paused': 'Paused',
+
+    // Hints
+    'hint.title': '💡 Hints',
+    'hint.close': 'Close hints',
+    'hint.button': '💡 Hint',
+    'hint.buttonTitle': 'Ask the AI for the best moves in this position',
+    'hint.analyzing': 'Analyzing…',
+    'hint.failed': 'Analysis failed: {message}',
+    'hint.searching': 'Asking the engine for its move…',
+    'hint.screening': 'Trying every legal move… {percent}%',
+    'hint.playingOut': 'Playing out the best moves… {percent}%',
+    'hint.ranked': {
+        one: 'The only legal move. Its win rate is a rough estimate from a few playouts',
+        other: 'The engine\'s move first, then the other legal moves ({count} in all) by win rate in playouts. Win rates are rough estimates from a few games each'
+    },
+    'hint.none': 'No legal moves',
+    'hint.playouts': {
+        one: 'won {wins} of {count} playout ({win})',
+        other: 'won {wins} of {count} playouts ({win})'
+    },
+    'hint.screened': {
+        one: 'won {wins} of {count} random playout',
+        other: 'won {wins} of {count} random playouts'
+    },
+    'hint.engineChoice': 'engine\'s pick',
+
+    // Options and action panel
+    'options.instant': 'Instant Actions',
+    'options.debug': 'AI Debug Mode',
+    'options.colorBlind': 'Color-blind Symbols',
+    'options.colorBlindTitle': 'Draw a symbol on every gem color',
+    'action.confirm': 'Confirm Action',
+    'action.purchase': 'Purchase',
+    'action.reserve': 'Reserve',
+    'action.cancel': 'Cancel',
+    'action.select': 'Select Action',
+    'action.invalid': 'Invalid Selection',
+    'action.take2Same': 'Take 2 Same',
+    'action.take3Different': 'Take 3 Different',
+    'action.take2Different': 'Take 2 Different',
+    'action.takeSingle': 'Take Single',
+    'action.reserveDeck': 'Reserve from Deck',
+    'action.purchaseCard': 'Purchase Card',
+    'action.reserveCard': 'Reserve Card',
+    'action.purchaseOrReserve': 'Purchase or Reserve?',
+    'action.purchaseReserved': 'Purchase Reserved',
+    'action.reserveFull': 'You already have 3 reserved cards',
+    'action.reserveTitle': 'Reserve (or Shift+click the card)',
+    'alert.invalidAction': 'Invalid action!',
+    'alert.aiFailed': 'Critical Error: AI computation failed. The game state might be inconsistent. Please start a new game.',
+    'alert.cannotReserve': 'You cannot reserve this card!',
+    'alert.cannotReserveDeck': 'You cannot reserve from this deck!',
+    'alert.loadFailed': 'Failed to load game: {message}',
+    'alert.resumeFailed': 'Failed to resume the previous game: {message}',
+
+    // Setup
+    'setup.title': 'New Game',
+    'setup.resume': 'Resume previous game',
+    'setup.resumeInfo': {
+        one: '{names} · {count} move played · saved {date}',
+        other: '{names} · {count} moves played · saved {date}'
+    },
+    'setup.versus': ' vs ',
+    'setup.players': 'Players',
+    'setup.addPlayer': '+ Add player',
+    'setup.firstPlayer': 'Who starts?',
+    'setup.start': 'Start Game',
+    'setup.load': 'Load Game',
+    'setup.watchReplay': 'Watch Replay',
+    'setup.human': 'Human',
+    'setup.ai': 'AI',
+    'setup.playerN': 'Player {number}',
+    'setup.aiN': 'AI {number}',
+    'setup.timeLimit': 'AI time limit (seconds)',
+    'setup.remove': 'Remove player',
+    'setup.level': 'AI level',
+
+    // AI difficulty presets
+    'difficulty.beginner': 'Beginner',
+    'difficulty.casual': 'Casual',
+    'difficulty.intermediate': 'Intermediate',
+    'difficulty.advanced': 'Advanced',
+    'difficulty.master': 'Master',
+    'difficulty.custom': 'Custom',
+
+    // Game over and analysis
+    'gameOver.title': 'Game Over!',
+    'gameOver.wins': { one: '{name} wins with {count} point!', other: '{name} wins with {count} points!' },
+    'gameOver.announce': {
+        one: 'Game over. {name} wins with {count} point.',
+        other: 'Game over. {name} wins with {count} points.'
+    },
+    'gameOver.playAgain': 'Play Again',
+    'gameOver.analyze': '🔍 Analyze Game',
+    'analysis.analyzing': { one: 'Analyzing {count} move…', other: 'Analyzing {count} moves…' },
+    'analysis.done': { one: 'Analyzed {count} move in {seconds}s', other: 'Analyzed {count} moves in {seconds}s' },
+    'analysis.progress': 'Analyzing… {percent}%',
+    'analysis.failed': 'Analysis failed: {message}',
+    'analysis.noMistakesYet': 'No mistakes so far',
+    'analysis.noMistakes': 'No mistakes found',
+    'analysis.move': {
+        one: 'Move {number}: played {move} ({actual}), engine preferred {best} ({bestShare}): −{drop} ± {margin}% in {count} playout each',
+        other: 'Move {number}: played {move} ({actual}), engine preferred {best} ({bestShare}): −{drop} ± {margin}% in {count} playouts each'
+    },
+    'analysis.blunder': 'Move {number}: {name} lost {percent} ± {margin}%',
+
+    // Payment
+    'payment.title': 'Choose Payment',
+    'payment.intro': 'Use gold in place of colored gems to keep them for later.',
+    'payment.split': '{colored} + {gold}',
+    'payment.lessGold': 'Pay one more {color} gem instead of gold',
+    'payment.moreGold': 'Pay one gold instead of a {color} gem',
+    'payment.goldUsed': 'Gold used: {used} of {total}',
+    'payment.buy': 'Buy Card',
+
+    // Nobles
+    'noble.chooseTitle': 'Choose a Noble',
+    'noble.chooseIntro': 'Your cards attract more than one noble. Choose the noble who visits you this turn.',
+    'noble.describe': { one: 'Noble ({count} point): {requirements}', other: 'Noble ({count} points): {requirements}' },
+    'noble.claimable': '{noble} ({name} can attract this noble with one purchase)',
+    'noble.qualifies': '{name} qualifies for this noble',
+    'noble.needs': '{name} needs {missing}',
+
+    // Discarding
+    'discard.title': 'Discard Gems',
+    'discard.intro': 'You have too many gems. Choose the gems to return:',
+    'discard.over': { one: '{name} has {count} gem (limit is {limit}).', other: '{name} has {count} gems (limit is {limit}).' },
+    'discard.remaining': {
+        one: 'Select a gem to return ({count} remaining):',
+        other: 'Select gems to return ({count} remaining):'
+    },
+    'discard.chosen': { one: 'Returning {count} gem:', other: 'Returning {count} gems:' },
+    'discard.keep': '{color}: keep {kept} of {held}',
+    'discard.return': { one: 'Return {count} gem', other: 'Return {count} gems' },
+    'discard.returnGems': 'Return Gems',
+    'discard.suggest': '🤖 Suggest',
+    'discard.suggestTitle': 'Fill in the discard the AI would make',
+    'discard.reset': 'Reset',
+    'discard.undo': '↶ Undo Move',
+    'discard.undoTitle': 'Take back the move that went over the limit',
+    'discard.noSuggestion': 'No suggestion is available for this position.',
+    'discard.canBuy': 'With these gems you can still buy: {cards}',
+    'discard.cannotBuy': 'With these gems you cannot buy any card yet.',
+
+    // Cards and decks
+    'card.label': 'tier {tier} {color} card',
+    'card.labelPoints': 'tier {tier} {color} card ({points} VP)',
+    'card.unknown': 'card #{id}',
+    'card.describe': {
+        one: 'Tier {tier} card, {count} point, {color} bonus, {cost}',
+        other: 'Tier {tier} card, {count} points, {color} bonus, {cost}'
+    },
+    'card.costs': 'costs {gems}',
+    'card.free': 'free',
+    'card.reserved': 'Reserved {card}',
+    'card.canBuy': '{card}, you can buy it',
+    'card.canReserve': '{card}, you can reserve it',
+    'deck.label': 'Tier {tier}',
+    'deck.empty': 'Empty',
+    'deck.aria': { one: 'Tier {tier} deck, {count} card left', other: 'Tier {tier} deck, {count} cards left' },
+    'deck.ariaEmpty': 'Tier {tier} deck, empty',
+    'pool.aria': '{color} gems, {count} in the pool',
+    'pool.ariaSelected': '{color} gems, {count} in the pool, {selected} selected',
+    'pool.takeTwoTitle': 'Take two: the next gem you tap takes two of that color (or press and hold a gem)',
+
+    // Affordability tooltip
+    'tooltip.canBuy': 'Can buy now, paying {payment}',
+    'tooltip.free': 'nothing (bonuses cover the cost)',
+    'tooltip.shortOf': 'Short of: {gems}',
+    'tooltip.goldCovers': {
+        one: 'Gold would cover {gold}, leaving {count} gem to find',
+        other: 'Gold would cover {gold}, leaving {count} gems to find'
+    },
+    'tooltip.turns': {
+        one: 'At best {count} turn of taking gems before it can be bought',
+        other: 'At best {count} turns of taking gems before it can be bought'
+    },
+
+    // Move descriptions ("Alice takes white, blue, green")
+    'move.byPlayer': '{name} {move}',
+    'move.takes': 'takes {gems}',
+    'move.reservesDeck': 'reserves from the tier {tier} deck',
+    'move.reserves': 'reserves {card}',
+    'move.buys': 'buys {card}',
+    'move.buysReserved': 'buys reserved {card}',
+    'move.unknown': 'makes an unknown move',
+    'move.discards': '{move} and discards {gems}',
+
+    // Player panels
+    'player.aria': { one: '{name}, {count} point', other: '{name}, {count} points' },
+    'player.ariaActive': { one: '{name}, {count} point, to move', other: '{name}, {count} points, to move' },
+    'player.human': '(Human)',
+    'player.you': '(You)',
+    'player.ai': '(AI)',
+    'player.vp': '{count} VP',
+    'player.noReserved': 'No reserved cards',
+    'player.gold': '{count} gold',
+    'player.resources': '{color}: {gems}, {bonuses}',
+    'player.gems': { one: '{count} gem', other: '{count} gems' },
+    'player.bonuses': { one: '{count} bonus', other: '{count} bonuses' },
+    'player.cards': { one: '{count} card', other: '{count} cards' },
+    'player.reservedCount': '{count} reserved',
+    'player.expand': 'Show {name}',
+    'player.collapse': 'Hide {name}',
+
+    // Keyboard help
+    'keys.title': 'Keyboard Shortcuts',
+    'keys.gems': 'Toggle a white, blue, green, red or black gem',
+    'keys.gemKey': 'gem key',
+    'keys.takeTwo': 'Take two gems of that color',
+    'keys.move': 'Move over the decks, cards and your reserved cards',
+    'keys.tier': 'Jump to tier 1, 2 or 3',
+    'keys.select': 'Select the deck or card under the cursor',
+    'keys.reserveCursor': 'Reserve the card under the cursor',
+    'keys.confirm': 'Confirm (buys a selected board card)',
+    'keys.reserveSelected': 'Reserve the selected board card',
+    'keys.cancel': 'Cancel the selection',
+    'keys.unwind': 'Unwind to your last move',
+    'keys.undoRedo': 'Undo / redo one move',
+    'keys.inDialogs': 'in dialogs',
+    'keys.dialogs': 'Pay / cancel',
+    'keys.inNobleDialog': 'in the noble choice',
+    'keys.pickNoble': 'Pick a noble',
+    'keys.toggleHelp': 'Show or hide this list',
+    'keys.close': 'Close',
+
+    // Settings
+    'settings.title': 'Settings',
+    'settings.aiLevel': 'AI level for new players',
+    'settings.aiTimeLimit': 'Custom level: AI seconds per move',
+    'settings.aiIterations': 'Custom level: AI iterations per move',
+    'settings.paymentConfirm': 'Ask how to pay',
+    'settings.paymentWhenGold': 'When gold could be used',
+    'settings.paymentNever': 'Never (spend colored gems first)',
+    'settings.animationSpeed': 'Animation speed',
+    'settings.animationOff': 'Off',
+    'settings.animationFast': 'Fast',
+    'settings.animationNormal': 'Normal',
+    'settings.animationSlow': 'Slow',
+    'settings.palettes': 'Palettes…',
+    'settings.sound': 'Sound effects',
+    'settings.close': 'Close',
+
+    // Themes
+    'theme.title': 'Theme',
+    'theme.choose': 'Theme:',
+    'theme.dark': 'Dark',
+    'theme.light': 'Light',
+    'theme.highContrast': 'High contrast',
+    'theme.palette': 'Palette',
+    'theme.role.background': 'Background',
+    'theme.role.surface': 'Bars and panels',
+    'theme.role.text': 'Text',
+    'theme.role.board': 'Board',
+    'theme.role.panel': 'Player cards and dialogs',
+    'theme.role.panelText': 'Text on player cards',
+    'theme.role.accent': 'Highlight',
+    'theme.gem': '{color} gems',
+    'theme.paletteName': 'Palette name',
+    'theme.defaultName': 'My palette {number}',
+    'theme.savePalette': 'Save palette',
+    'theme.deletePalette': 'Delete palette',
+    'theme.close': 'Close',
+
+    // Bot arena
+    'arena.title': 'Bot Arena',
+    'arena.bots': 'Bots',
+    'arena.addBot': '+ Add Bot',
+    'arena.noBots': 'No bots added yet.',
+    'arena.editBotTitle': 'Edit',
+    'arena.removeBotTitle': 'Remove',
+    'arena.settings': 'Tournament Settings',
+    'arena.gamesPerMatchup': 'Games per Matchup:',
+    'arena.workers': 'Worker Threads:',
+    'arena.workersHint': 'More threads = faster execution (recommended: 4-8)',
+    'arena.globalSettings': 'Global Bot Settings',
+    'arena.iterations': 'Iterations Limit (per move):',
+    'arena.iterationsHint': 'MCTS iterations limit for all bots (default: {limit})',
+    'arena.timeLimit': 'Time Limit (seconds per move):',
+    'arena.timeLimitHint': 'Time limit for all bots (default: {seconds}s)',
+    'arena.run': 'Run Tournament',
+    'arena.running': 'Running tournament...',
+    'arena.progress': { one: '{done} / {count} game', other: '{done} / {count} games' },
+    'arena.failed': 'Tournament failed: {message}',
+    'arena.results': 'Results',
+    'arena.addBotHeading': 'Add Bot',
+    'arena.editBotHeading': 'Edit Bot',
+    'arena.defaultBotName': 'Bot {number}',
+    'arena.name': 'Name:',
+    'arena.profile': 'Profile:',
+    'arena.profile.Balanced': 'Balanced',
+    'arena.profile.Aggressive': 'Aggressive',
+    'arena.profile.Economic': 'Economic',
+    'arena.profile.Flexible': 'Flexible',
+    'arena.profile.Custom': 'Custom',
+    'arena.mcts': 'MCTS Parameters',
+    'arena.exploration': 'Exploration Parameter:',
+    'arena.scoreWeights': 'Score Weights',
+    'arena.vpWeights': 'VP Weights (16 values, 0-15 points):',
+    'arena.vpWeightsHint': 'Comma-separated values for 0-15 victory points',
+    'arena.vpWeightsError': 'VP Weights must have exactly 16 values (0-15 points)',
+    'arena.gemWeights': 'Gem Weights (23 values, 0-22 gems):',
+    'arena.gemWeightsHint': 'Comma-separated values for 0-22 gems',
+    'arena.gemWeightsError': 'Gem Weights must have exactly 23 values (0-22 gems)',
+    'arena.demandMultiplier': 'Demand Multiplier:',
+    'arena.bonusMultiplier': 'Bonus Multiplier:',
+    'arena.gemMultiplier': 'Gem Multiplier:',
+    'arena.winReward': 'Win Reward:',
+    'arena.lossReward': 'Loss Reward:',
+    'arena.save': 'Save',
+    'arena.column.name': 'Bot Name',
+    'arena.column.games': 'Games',
+    'arena.column.winRate': 'Win Rate',
+    'arena.column.mde': 'MDE (±%)',
+    'arena.column.winTurns': 'Avg Win Turns',
+    'arena.column.points': 'Avg Points',
+    'arena.column.turns': 'Avg Turns',
+    'arena.notAvailable': 'N/A'
+});
\ No newline at end of file
@@ -0,0 +1,480 @@
+/**
+ * Russian messages
+ * Counted gems and cards are written as "color: count" to avoid declining the color names.
+ */
+I18n.register('ru', 'Русский', {
+    'color.white': 'белый',
+    'color.blue': 'синий',
+    'color.green': 'зелёный',
+    'color.red': 'красный',
+    'color.black': 'чёрный',
+    'color.gold': 'золото',
+    'gems.amount': '{color}: {count}',
+    'gems.moreOf': '{color}: ещё {count}',
+    'list.separator': ', ',
+
+    'header.unwind': '↶ Откат',
+    'header.unwindTitle': 'Отменить ходы до вашего последнего хода (U; Ctrl+Z отменяет один ход)',
+    'header.redo': '↷ Вернуть',
+    'header.redoTitle': 'Вернуть ход (Ctrl+Shift+Z)',
+    'header.history': '📜 История ({count})',
+    'header.historyTitle': 'История ходов',
+    'header.resumeHere': '▶ Продолжить игру отсюда',
+    'header.save': '💾 Сохранить',
+    'header.saveTitle': 'Скачать эту партию файлом',
+    'header.load': '📂 Загрузить',
+    'header.loadTitle': 'Загрузить партию из файла',
+    'header.replay': '🎬 Повтор',
+    'header.replayTitle': 'Просмотреть партию по ходам',
+    'header.keys': '⌨ Клавиши',
+    'header.keysTitle': 'Клавиатурные сокращения (?)',
+    'header.arena': '🏆 Арена ботов',
+    'header.language': 'Язык',
+    'header.settings': '⚙ Настройки',
+    'header.settingsTitle': 'Настройки',
+    'header.turn': 'Ход: {turn}',
+    'header.currentPlayer': 'Ходит: {name}',
+    'header.aiLevel': 'ИИ: {levels}',
+
+    'status.welcome': 'Добро пожаловать в Splendor!',
+    'status.rewound': 'История отмотана: верните следующий ход или продолжите игру.',
+    'status.paused': 'Пауза: нажмите «Продолжить» или «Шаг».',
+    'status.yourTurn': 'Ваш ход! Выберите действие.',
+    'status.playerTurn': 'Ход игрока {name}! Выберите действие.',
+    'status.thinking': '{name} думает...',
+    'status.engineError': 'Не удалось загрузить игровой движок. Подробности в консоли.',
+    'history.start': 'Начало партии',
+
+    'ai.moveNow': '⚡ Ходить сейчас',
+    'ai.moveNowTitle': 'Сыграть лучший найденный ход',
+    'ai.moveNowUnavailable': '«Ходить сейчас» требует изоляции страницы (cross-origin isolation): откройте игру по https (или с localhost), чтобы её изолировал service worker, либо отдавайте заголовки COOP/COEP',
+    'ai.iterations': {
+        one: '≈ {count} итерация',
+        few: '≈ {count} итерации',
+        many: '≈ {count} итераций',
+        other: '≈ {count} итерации'
+    },
+
+    'replay.label': '🎬 Повтор',
+    'replay.first': 'Первый ход',
+    'replay.back': 'Шаг назад',
+    'replay.play': 'Автовоспроизведение',
+    'replay.pause': 'Пауза',
+    'replay.forward': 'Шаг вперёд',
+    'replay.last': 'Последний ход',
+    'replay.position': 'Ход {index} / {total}',
+    'replay.speed': 'Скорость воспроизведения',
+    'replay.open': 'Открыть файл партии',
+    'replay.exit': '✕ Выйти',
+    'replay.exitTitle': 'Закрыть повтор',
+    'replay.startOfGame': 'Повтор: начало партии',
+    'replay.move': 'Повтор: {move}',
+    'replay.winner': '{status} — победа: {name}!',
+    'replay.openFailed': 'Не удалось открыть повтор: {message}',
+
+    'spectator.label': '👁 Ходы ИИ',
+    'spectator.pause': '⏸ Пауза',
+    'spectator.pauseTitle': 'Остановиться после текущего хода ИИ',
+    'spectator.resume': '▶ Продолжить',
+    'spectator.step': '⏭ Шаг',
+    'spectator.stepTitle': 'Сыграть следующий ход ИИ',
+    'spectator.delay': 'Задержка',
+    'spectator.delayTitle': 'Пауза перед каждым ходом ИИ',
+    'spectator.noDelay': 'Нет',
+    'spectator.pausing': 'Остановка после этого хода…',
+    'spectator.paused': 'Пауза',
+
+    'hint.title': '💡 Подсказки',
+    'hint.close': 'Закрыть подсказки',
+    'hint.button': '💡 Подсказка',
+    'hint.buttonTitle': 'Спросить у ИИ лучшие ходы в этой позиции',
+    'hint.analyzing': 'Анализ…',
+    'hint.failed': 'Анализ не удался: {message}',
+    'hint.searching': 'Спрашиваем ход у движка…',
+    'hint.screening': 'Пробуем каждый допустимый ход… {percent}%',
+    'hint.playingOut': 'Доигрываем лучшие ходы… {percent}%',
+    'hint.ranked': {
+        one: 'Ход движка первым, затем остальные допустимые ходы (всего {count}) по доле побед в доигрываниях. Доли побед — грубая оценка по нескольким партиям',
+        few: 'Ход движка первым, затем остальные допустимые ходы (всего {count}) по доле побед в доигрываниях. Доли побед — грубая оценка по нескольким партиям',
+        many: 'Ход движка первым, затем остальные допустимые ходы (всего {count}) по доле побед в доигрываниях. Доли побед — грубая оценка по нескольким партиям',
+        other: 'Ход движка первым, затем остальные допустимые ходы (всего {count}) по доле побед в доигрываниях. Доли побед — грубая оценка по нескольким партиям'
+    },
+    'hint.none': 'Нет допустимых ходов',
+    'hint.playouts': {
+        one: 'победы в {wins} из {count} доигрывания ({win})',
+        few: 'победы в {wins} из {count} доигрываний ({win})',
+        many: 'победы в {wins} из {count} доигрываний ({win})',
+        other: 'победы в {wins} из {count} доигрывания ({win})'
+    },
+    'hint.screened': {
+        one: 'победы в {wins} из {count} случайного доигрывания',
+        few: 'победы в {wins} из {count} случайных доигрываний',
+        many: 'победы в {wins} из {count} случайных доигрываний',
+        other: 'победы в {wins} из {count} случайного доигрывания'
+    },
+    'hint.engineChoice': 'выбор движка',
+
+    'options.instant': 'Мгновенные действия',
+    'options.debug': 'Отладка ИИ',
+    'options.colorBlind': 'Символы цветов',
+    'options.colorBlindTitle': 'Рисовать символ на каждом цвете фишек',
+    'action.confirm': 'Подтвердить',
+    'action.purchase': 'Купить',
+    'action.reserve': 'Зарезервировать',
+    'action.cancel': 'Отмена',
+    'action.select': 'Выберите действие',
+    'action.invalid': 'Недопустимый выбор',
+    'action.take2Same': 'Взять 2 одинаковые',
+    'action.take3Different': 'Взять 3 разные',
+    'action.take2Different': 'Взять 2 разные',
+    'action.takeSingle': 'Взять одну',
+    'action.reserveDeck': 'Резерв из колоды',
+    'action.purchaseCard': 'Купить карту',
+    'action.reserveCard': 'Зарезервировать карту',
+    'action.purchaseOrReserve': 'Купить или зарезервировать?',
+    'action.purchaseReserved': 'Купить из резерва',
+    'action.reserveFull': 'У вас уже 3 зарезервированные карты',
+    'action.reserveTitle': 'Зарезервировать (или Shift+щелчок по карте)',
+    'alert.invalidAction': 'Недопустимое действие!',
+    'alert.aiFailed': 'Критическая ошибка: сбой вычислений ИИ. Состояние игры может быть нарушено. Начните новую партию.',
+    'alert.cannotReserve': 'Эту карту нельзя зарезервировать!',
+    'alert.cannotReserveDeck': 'Из этой колоды нельзя резервировать!',
+    'alert.loadFailed': 'Не удалось загрузить партию: {message}',
+    'alert.resumeFailed': 'Не удалось продолжить прошлую партию: {message}',
+
+    'setup.title': 'Новая партия',
+    'setup.resume': 'Продолжить прошлую партию',
+    'setup.resumeInfo': {
+        one: '{names} · сыгран {count} ход · сохранено {date}',
+        few: '{names} · сыграно {count} хода · сохранено {date}',
+        many: '{names} · сыграно {count} ходов · сохранено {date}',
+        other: '{names} · сыграно {count} хода · сохранено {date}'
+    },
+    'setup.versus': ' против ',
+    'setup.players': 'Игроки',
+    'setup.addPlayer': '+ Добавить игрока',
+    'setup.firstPlayer': 'Кто начинает?',
+    'setup.start': 'Начать игру',
+    'setup.load': 'Загрузить партию',
+    'setup.watchReplay': 'Смотреть повтор',
+    'setup.human': 'Человек',
+    'setup.ai': 'ИИ',
+    'setup.playerN': 'Игрок {number}',
+    'setup.aiN': 'ИИ {number}',
+    'setup.timeLimit': 'Время на ход ИИ (секунды)',
+    'setup.remove': 'Убрать игрока',
+    'setup.level': 'Уровень ИИ',
+
+    'difficulty.beginner': 'Новичок',
+    'difficulty.casual': 'Любитель',
+    'difficulty.intermediate': 'Средний',
+    'difficulty.advanced': 'Продвинутый',
+    'difficulty.master': 'Мастер',
+    'difficulty.custom': 'Свой',
+
+    'gameOver.title': 'Игра окончена!',
+    'gameOver.wins': {
+        one: 'Побеждает {name}: {count} очко!',
+        few: 'Побеждает {name}: {count} очка!',
+        many: 'Побеждает {name}: {count} очков!',
+        other: 'Побеждает {name}: {count} очка!'
+    },
+    'gameOver.announce': {
+        one: 'Игра окончена. Побеждает {name}: {count} очко.',
+        few: 'Игра окончена. Побеждает {name}: {count} очка.',
+        many: 'Игра окончена. Побеждает {name}: {count} очков.',
+        other: 'Игра окончена. Побеждает {name}: {count} очка.'
+    },
+    'gameOver.playAgain': 'Сыграть ещё',
+    'gameOver.analyze': '🔍 Разбор партии',
+    'analysis.analyzing': {
+        one: 'Анализ {count} хода…',
+        few: 'Анализ {count} ходов…',
+        many: 'Анализ {count} ходов…',
+        other: 'Анализ {count} хода…'
+    },
+    'analysis.done': {
+        one: 'Проанализирован {count} ход за {seconds} с',
+        few: 'Проанализировано {count} хода за {seconds} с',
+        many: 'Проанализировано {count} ходов за {seconds} с',
+        other: 'Проанализировано {count} хода за {seconds} с'
+    },
+    'analysis.progress': 'Анализ… {percent}%',
+    'analysis.failed': 'Анализ не удался: {message}',
+    'analysis.noMistakesYet': 'Пока без ошибок',
+    'analysis.noMistakes': 'Ошибок не найдено',
+    'analysis.move': {
+        one: 'Ход {number}: сыграно «{move}» ({actual}), движок предпочёл «{best}» ({bestShare}): −{drop} ± {margin}% по {count} партии на ход',
+        few: 'Ход {number}: сыграно «{move}» ({actual}), движок предпочёл «{best}» ({bestShare}): −{drop} ± {margin}% по {count} партиям на ход',
+        many: 'Ход {number}: сыграно «{move}» ({actual}), движок предпочёл «{best}» ({bestShare}): −{drop} ± {margin}% по {count} партиям на ход',
+        other: 'Ход {number}: сыграно «{move}» ({actual}), движок предпочёл «{best}» ({bestShare}): −{drop} ± {margin}% по {count} партии на ход'
+    },
+    'analysis.blunder': 'Ход {number}: {name} теряет {percent} ± {margin}%',
+
+    'payment.title': 'Выбор оплаты',
+    'payment.intro': 'Платите золотом вместо цветных фишек, чтобы сохранить их на потом.',
+    'payment.split': '{colored} + {gold}',
+    'payment.lessGold': 'Заплатить на одну фишку «{color}» больше вместо золота',
+    'payment.moreGold': 'Заплатить одним золотом вместо фишки «{color}»',
+    'payment.goldUsed': 'Золота потрачено: {used} из {total}',
+    'payment.buy': 'Купить карту',
+
+    'noble.chooseTitle': 'Выбор дворянина',
+    'noble.chooseIntro': 'Ваши карты привлекают нескольких дворян. Выберите, кто посетит вас в этот ход.',
+    'noble.describe': {
+        one: 'Дворянин ({count} очко): {requirements}',
+        few: 'Дворянин ({count} очка): {requirements}',
+        many: 'Дворянин ({count} очков): {requirements}',
+        other: 'Дворянин ({count} очка): {requirements}'
+    },
+    'noble.claimable': '{noble} ({name} может привлечь этого дворянина одной покупкой)',
+    'noble.qualifies': '{name}: условия выполнены',
+    'noble.needs': '{name}: не хватает {missing}',
+
+    'discard.title': 'Сброс фишек',
+    'discard.intro': 'У вас слишком много фишек. Выберите фишки для возврата:',
+    'discard.over': {
+        one: 'У игрока {name} {count} фишка (предел — {limit}).',
+        few: 'У игрока {name} {count} фишки (предел — {limit}).',
+        many: 'У игрока {name} {count} фишек (предел — {limit}).',
+        other: 'У игрока {name} {count} фишки (предел — {limit}).'
+    },
+    'discard.remaining': {
+        one: 'Выберите фишки для возврата (осталась {count}):',
+        few: 'Выберите фишки для возврата (осталось {count}):',
+        many: 'Выберите фишки для возврата (осталось {count}):',
+        other: 'Выберите фишки для возврата (осталось {count}):'
+    },
+    'discard.chosen': {
+        one: 'Возвращается {count} фишка:',
+        few: 'Возвращаются {count} фишки:',
+        many: 'Возвращаются {count} фишек:',
+        other: 'Возвращаются {count} фишки:'
+    },
+    'discard.keep': '{color}: оставить {kept} из {held}',
+    'discard.return': {
+        one: 'Вернуть {count} фишку',
+        few: 'Вернуть {count} фишки',
+        many: 'Вернуть {count} фишек',
+        other: 'Вернуть {count} фишки'
+    },
+    'discard.returnGems': 'Вернуть фишки',
+    'discard.suggest': '🤖 Подсказать',
+    'discard.suggestTitle': 'Заполнить сброс так, как сделал бы ИИ',
+    'discard.reset': 'Сбросить',
+    'discard.undo': '↶ Отменить ход',
+    'discard.undoTitle': 'Отменить ход, после которого фишек стало больше предела',
+    'discard.noSuggestion': 'Для этой позиции подсказки нет.',
+    'discard.canBuy': 'С этими фишками можно купить: {cards}',
+    'discard.cannotBuy': 'С этими фишками пока нельзя купить ни одной карты.',
+
+    'card.label': 'карта уровня {tier} ({color})',
+    'card.labelPoints': 'карта уровня {tier} ({color}, {points} ПО)',
+    'card.unknown': 'карта №{id}',
+    'card.describe': {
+        one: 'Карта уровня {tier}, {count} очко, бонус: {color}, {cost}',
+        few: 'Карта уровня {tier}, {count} очка, бонус: {color}, {cost}',
+        many: 'Карта уровня {tier}, {count} очков, бонус: {color}, {cost}',
+        other: 'Карта уровня {tier}, {count} очка, бонус: {color}, {cost}'
+    },
+    'card.costs': 'цена: {gems}',
+    'card.free': 'бесплатно',
+    'card.reserved': 'В резерве: {card}',
+    'card.canBuy': '{card}, можно купить',
+    'card.canReserve': '{card}, можно зарезервировать',
+    'deck.label': 'Уровень {tier}',
+    'deck.empty': 'Пусто',
+    'deck.aria': {
+        one: 'Колода уровня {tier}, осталась {count} карта',
+        few: 'Колода уровня {tier}, осталось {count} карты',
+        many: 'Колода уровня {tier}, осталось {count} карт',
+        other: 'Колода уровня {tier}, осталось {count} карты'
+    },
+    'deck.ariaEmpty': 'Колода уровня {tier}, пусто',
+    'pool.aria': 'Фишки «{color}», в запасе {count}',
+    'pool.ariaSelected': 'Фишки «{color}», в запасе {count}, выбрано {selected}',
+    'pool.takeTwoTitle': 'Взять две: следующая фишка, которую вы коснётесь, берётся дважды (или нажмите и удерживайте фишку)',
+
+    'tooltip.canBuy': 'Можно купить сейчас, заплатив {payment}',
+    'tooltip.free': 'ничего (бонусы покрывают цену)',
+    'tooltip.shortOf': 'Не хватает: {gems}',
+    'tooltip.goldCovers': {
+        one: 'Золото покроет {gold}, останется найти {count} фишку',
+        few: 'Золото покроет {gold}, останется найти {count} фишки',
+        many: 'Золото покроет {gold}, останется найти {count} фишек',
+        other: 'Золото покроет {gold}, останется найти {count} фишки'
+    },
+    'tooltip.turns': {
+        one: 'Не меньше {count} хода со взятием фишек до покупки',
+        few: 'Не меньше {count} ходов со взятием фишек до покупки',
+        many: 'Не меньше {count} ходов со взятием фишек до покупки',
+        other: 'Не меньше {count} хода со взятием фишек до покупки'
+    },
+
+    'move.byPlayer': '{name} {move}',
+    'move.takes': 'берёт фишки: {gems}',
+    'move.reservesDeck': 'резервирует карту из колоды уровня {tier}',
+    'move.reserves': 'резервирует: {card}',
+    'move.buys': 'покупает: {card}',
+    'move.buysReserved': 'покупает из резерва: {card}',
+    'move.unknown': 'делает неизвестный ход',
+    'move.discards': '{move} и сбрасывает: {gems}',
+
+    'player.aria': {
+        one: '{name}, {count} очко',
+        few: '{name}, {count} очка',
+        many: '{name}, {count} очков',
+        other: '{name}, {count} очка'
+    },
+    'player.ariaActive': {
+        one: '{name}, {count} очко, ходит',
+        few: '{name}, {count} очка, ходит',
+        many: '{name}, {count} очков, ходит',
+        other: '{name}, {count} очка, ходит'
+    },
+    'player.human': '(Человек)',
+    'player.you': '(Вы)',
+    'player.ai': '(ИИ)',
+    'player.vp': '{count} ПО',
+    'player.noReserved': 'Нет зарезервированных карт',
+    'player.gold': 'золото: {count}',
+    'player.resources': '{color}: {gems}, {bonuses}',
+    'player.gems': {
+        one: '{count} фишка',
+        few: '{count} фишки',
+        many: '{count} фишек',
+        other: '{count} фишки'
+    },
+    'player.bonuses': {
+        one: '{count} бонус',
+        few: '{count} бонуса',
+        many: '{count} бонусов',
+        other: '{count} бонуса'
+    },
+    'player.cards': {
+        one: '{count} карта',
+        few: '{count} карты',
+        many: '{count} карт',
+        other: '{count} карты'
+    },
+    'player.reservedCount': 'в резерве: {count}',
+    'player.expand': 'Показать: {name}',
+    'player.collapse': 'Скрыть: {name}',
+
+    'keys.title': 'Клавиатурные сокращения',
+    'keys.gems': 'Выбрать белую, синюю, зелёную, красную или чёрную фишку',
+    'keys.gemKey': 'клавиша фишки',
+    'keys.takeTwo': 'Взять две фишки этого цвета',
+    'keys.move': 'Перемещаться по колодам, картам и вашему резерву',
+    'keys.tier': 'Перейти к уровню 1, 2 или 3',
+    'keys.select': 'Выбрать колоду или карту под курсором',
+    'keys.reserveCursor': 'Зарезервировать карту под курсором',
+    'keys.confirm': 'Подтвердить (покупает выбранную карту на столе)',
+    'keys.reserveSelected': 'Зарезервировать выбранную карту на столе',
+    'keys.cancel': 'Отменить выбор',
+    'keys.unwind': 'Откатиться к вашему последнему ходу',
+    'keys.undoRedo': 'Отменить / вернуть один ход',
+    'keys.inDialogs': 'в диалогах',
+    'keys.dialogs': 'Оплатить / отменить',
+    'keys.inNobleDialog': 'при выборе дворянина',
+    'keys.pickNoble': 'Выбрать дворянина',
+    'keys.toggleHelp': 'Показать или скрыть этот список',
+    'keys.close': 'Закрыть',
+
+    // Настройки
+    'settings.title': 'Настройки',
+    'settings.aiLevel': 'Уровень ИИ для новых игроков',
+    'settings.aiTimeLimit': 'Свой уровень: секунд ИИ на ход',
+    'settings.aiIterations': 'Свой уровень: итераций ИИ на ход',
+    'settings.paymentConfirm': 'Спрашивать способ оплаты',
+    'settings.paymentWhenGold': 'Когда можно заплатить золотом',
+    'settings.paymentNever': 'Никогда (сначала тратить цветные фишки)',
+    'settings.animationSpeed': 'Скорость анимации',
+    'settings.animationOff': 'Без анимации',
+    'settings.animationFast': 'Быстро',
+    'settings.animationNormal': 'Обычно',
+    'settings.animationSlow': 'Медленно',
+    'settings.palettes': 'Палитры…',
+    'settings.sound': 'Звуковые эффекты',
+    'settings.close': 'Закрыть',
+
+    // Темы
+    'theme.title': 'Тема',
+    'theme.choose': 'Тема:',
+    'theme.dark': 'Тёмная',
+    'theme.light': 'Светлая',
+    'theme.highContrast': 'Высокая контрастность',
+    'theme.palette': 'Палитра',
+    'theme.role.background': 'Фон',
+    'theme.role.surface': 'Панели',
+    'theme.role.text': 'Текст',
+    'theme.role.board': 'Игровое поле',
+    'theme.role.panel': 'Карточки игроков и диалоги',
+    'theme.role.panelText': 'Текст на карточках игроков',
+    'theme.role.accent': 'Выделение',
+    'theme.gem': 'Фишки: {color}',
+    'theme.paletteName': 'Название палитры',
+    'theme.defaultName': 'Моя палитра {number}',
+    'theme.savePalette': 'Сохранить палитру',
+    'theme.deletePalette': 'Удалить палитру',
+    'theme.close': 'Закрыть',
+
+    'arena.title': 'Арена ботов',
+    'arena.bots': 'Боты',
+    'arena.addBot': '+ Добавить бота',
+    'arena.noBots': 'Ботов пока нет.',
+    'arena.editBotTitle': 'Изменить',
+    'arena.removeBotTitle': 'Удалить',
+    'arena.settings': 'Настройки турнира',
+    'arena.gamesPerMatchup': 'Партий на пару:',
+    'arena.workers': 'Рабочие потоки:',
+    'arena.workersHint': 'Больше потоков — быстрее (рекомендуется 4–8)',
+    'arena.globalSettings': 'Общие настройки ботов',
+    'arena.iterations': 'Предел итераций (на ход):',
+    'arena.iterationsHint': 'Предел итераций MCTS для всех ботов (по умолчанию: {limit})',
+    'arena.timeLimit': 'Время (секунд на ход):',
+    'arena.timeLimitHint': 'Время на ход для всех ботов (по умолчанию: {seconds} с)',
+    'arena.run': 'Запустить турнир',
+    'arena.running': 'Идёт турнир...',
+    'arena.progress': {
+        one: '{done} / {count} партия',
+        few: '{done} / {count} партии',
+        many: '{done} / {count} партий',
+        other: '{done} / {count} партии'
+    },
+    'arena.failed': 'Турнир не удался: {message}',
+    'arena.results': 'Результаты',
+    'arena.addBotHeading': 'Новый бот',
+    'arena.editBotHeading': 'Изменить бота',
+    'arena.defaultBotName': 'Бот {number}',
+    'arena.name': 'Имя:',
+    'arena.profile': 'Профиль:',
+    'arena.profile.Balanced': 'Сбалансированный',
+    'arena.profile.Aggressive': 'Агрессивный',
+    'arena.profile.Economic': 'Экономный',
+    'arena.profile.Flexible': 'Гибкий',
+    'arena.profile.Custom': 'Свой',
+    'arena.mcts': 'Параметры MCTS',
+    'arena.exploration': 'Параметр исследования:',
+    'arena.scoreWeights': 'Веса оценки',
+    'arena.vpWeights': 'Веса ПО (16 значений, 0–15 очков):',
+    'arena.vpWeightsHint': 'Значения через запятую для 0–15 победных очков',
+    'arena.vpWeightsError': 'Веса ПО должны содержать ровно 16 значений (0–15 очков)',
+    'arena.gemWeights': 'Веса фишек (23 значения, 0–22 фишки):',
+    'arena.gemWeightsHint': 'Значения через запятую для 0–22 фишек',
+    'arena.gemWeightsError': 'Веса фишек должны содержать ровно 23 значения (0–22 фишки)',
+    'arena.demandMultiplier': 'Множитель спроса:',
+    'arena.bonusMultiplier': 'Множитель бонусов:',
+    'arena.gemMultiplier': 'Множитель фишек:',
+    'arena.winReward': 'Награда за победу:',
+    'arena.lossReward': 'Награда за поражение:',
+    'arena.save': 'Сохранить',
+    'arena.column.name': 'Бот',
+    'arena.column.games': 'Партии',
+    'arena.column.winRate': 'Доля побед',
+    'arena.column.mde': 'Погрешность (±%)',
+    'arena.column.winTurns': 'Ходов до победы',
+    'arena.column.points': 'Очки (ср.)',
+    'arena.column.turns': 'Ходы (ср.)',
+    'arena.notAvailable': 'н/д'
+});
\ No newline at end of file
@@ -1,6 +1,10 @@
 document.addEventListener('DOMContentLoaded', () => {
+    I18n.init();
     const controller = new GameController();
     controller.init().then(() => {
+        // Offer to continue the game that was in progress before the page was reloaded
+        controller.ui.showResumeOption(controller.autosave.load());
+        
         // Initialize arena after WASM is loaded
         const arenaController = new ArenaController(controller.wasm);
         arenaController.initialize();
@@ -20,7 +24,7 @@ document.addEventListener('DOMContentLoaded', () => {
         window.arenaUI = arenaUI;
     }).catch(err => {
         console.error("Failed to initialize game:", err);
-        document.getElementById('status-message').textContent = "Error loading game engine. Please check console.";
+        document.getElementById('status-message').textContent = I18n.t('status.engineError');
         document.getElementById('status-message').style.color = "red";
     });
     
@@ -0,0 +1,115 @@
+/**
+ * PreferencesStore - The player's settings, kept in localStorage
+ * Values missing from the save, or of the wrong type, fall back to DEFAULTS, so a save
+ * from an older version (or a hand-edited one) still loads. Listeners hear about every
+ * change with the changed keys.
+ */
+class PreferencesStore {
+    constructor(storage = null) {
+        this.storage = storage || AutosaveStore.getLocalStorage();
+        this.listeners = [];
+        this.values = this.load();
+    }
+
+    /**
+     * @returns {Object} Saved preferences on top of the defaults
+     */
+    load() {
+        const values = { ...PreferencesStore.DEFAULTS };
+        if (!this.storage) return values;
+
+        let saved = null;
+        try {
+            saved = JSON.parse(this.storage.getItem(PreferencesStore.KEY));
+        } catch (error) {
+            console.warn('Ignoring unreadable preferences:', error);
+        }
+        if (!saved) {
+            saved = this.loadLegacyTheme();
+        }
+
+        Object.keys(values).forEach(key => {
+            if (saved && PreferencesStore.isValid(key, saved[key])) {
+                values[key] = saved[key];
+            }
+        });
+        return values;
+    }
+
+    /**
+     * Theme and palettes from before there was a preferences store
+     */
+    loadLegacyTheme() {
+        try {
+            const palettes = JSON.parse(this.storage.getItem('zsplendor-palettes'));
+            return { theme: this.storage.getItem('zsplendor-theme'), palettes: palettes || [] };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    static isValid(key, value) {
+        const fallback = PreferencesStore.DEFAULTS[key];
+        if (value === undefined) return false;
+        if (fallback === null) return value === null || typeof value === 'string';
+        if (Array.isArray(fallback)) return Array.isArray(value);
+        if (PreferencesStore.CHOICES[key]) return PreferencesStore.CHOICES[key].includes(value);
+        return typeof value === typeof fallback && (typeof value !== 'number' || value > 0);
+    }
+
+    get(key) {
+        return this.values[key];
+    }
+
+    /**
+     * @param {Object} changes - key: value; invalid values are ignored
+     */
+    set(changes) {
+        const applied = {};
+        Object.entries(changes).forEach(([key, value]) => {
+            if (key in PreferencesStore.DEFAULTS && PreferencesStore.isValid(key, value)) {
+                this.values[key] = value;
+                applied[key] = value;
+            }
+        });
+        if (Object.keys(applied).length === 0) return;
+
+        this.save();
+        this.listeners.forEach(listener => listener(applied));
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    save() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(PreferencesStore.KEY, JSON.stringify(this.values));
+        } catch (error) {
+            console.warn('Could not save preferences:', error);
+        }
+    }
+}
+
+PreferencesStore.KEY = 'zsplendor-preferences';
+
+PreferencesStore.DEFAULTS = {
+    aiLevel: DifficultyPresets.DEFAULT, // Difficulty preset for new AI seats
+    aiTimeLimit: 2.5, // Seconds per move for new custom-level AI seats
+    aiIterationLimit: 5000000, // MCTS iterations per move at the custom level
+    instantActions: true, // Play a move as soon as the selection is complete
+    aiDebug: false,
+    animationSpeed: 'normal',
+    theme: null, // null follows the system's light/dark setting
+    palettes: [], // User palettes, see Theme.savePalette
+    sound: false,
+    colorBlind: false, // Symbols on every gem color
+    paymentConfirm: 'whenGold' // Ask how to pay when gold could replace gems, or 'never'
+};
+
+PreferencesStore.CHOICES = {
+    aiLevel: DifficultyPresets.PRESETS.map(preset => preset.id).concat(DifficultyPresets.CUSTOM),
+    animationSpeed: ['off', 'fast', 'normal', 'slow'],
+    paymentConfirm: ['whenGold', 'never']
+};
\ No newline at end of file
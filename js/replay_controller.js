@@ -0,0 +1,236 @@
+/**
+ * ReplayController - Step-through viewer for recorded games
+ * Replays a GameRecord on a scratch engine and shows any position on the board
+ * through UIManager.render. The live game is left untouched and human input is
+ * disabled while the viewer is open.
+ */
+class ReplayController {
+    constructor(gameController) {
+        this.game = gameController;
+        this.record = null;
+        this.states = []; // states[i] = position before recorded action i (last one is the final position)
+        this.index = 0;
+        this.isActive = false;
+        this.isPlaying = false;
+        this.playToken = 0; // Invalidates a previous auto-play loop after pause/resume
+        this.isAnimating = false;
+        this.speed = 1;
+        this.baseDelay = 1500; // ms between auto-play steps at 1x
+        this.elements = {};
+    }
+
+    init() {
+        this.elements = {
+            bar: document.getElementById('replay-bar'),
+            startBtn: document.getElementById('replay-start-btn'),
+            backBtn: document.getElementById('replay-back-btn'),
+            playBtn: document.getElementById('replay-play-btn'),
+            forwardBtn: document.getElementById('replay-forward-btn'),
+            endBtn: document.getElementById('replay-end-btn'),
+            slider: document.getElementById('replay-slider'),
+            position: document.getElementById('replay-position'),
+            speedSelect: document.getElementById('replay-speed'),
+            openBtn: document.getElementById('replay-open-btn'),
+            openSetupBtn: document.getElementById('replay-open-setup-btn'),
+            fileInput: document.getElementById('replay-file-input'),
+            exitBtn: document.getElementById('replay-exit-btn')
+        };
+
+        this.elements.startBtn.addEventListener('click', () => this.jumpTo(0));
+        this.elements.backBtn.addEventListener('click', () => this.stepBack());
+        this.elements.playBtn.addEventListener('click', () => this.togglePlay());
+        this.elements.forwardBtn.addEventListener('click', () => this.stepForward());
+        this.elements.endBtn.addEventListener('click', () => this.jumpTo(this.states.length - 1));
+        this.elements.slider.addEventListener('input', (e) => this.jumpTo(parseInt(e.target.value)));
+        this.elements.speedSelect.addEventListener('change', (e) => {
+            this.speed = parseFloat(e.target.value);
+        });
+        this.elements.openBtn.addEventListener('click', () => this.elements.fileInput.click());
+        this.elements.openSetupBtn.addEventListener('click', () => this.elements.fileInput.click());
+        this.elements.fileInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) {
+                this.openFile(file);
+            }
+        });
+        this.elements.exitBtn.addEventListener('click', () => this.exit());
+    }
+
+    async openFile(file) {
+        try {
+            const record = await GameRecord.fromFile(file);
+            this.start(record);
+        } catch (error) {
+            console.error('Failed to open replay:', error);
+            alert(I18n.t('replay.openFailed', { message: error.message }));
+        }
+    }
+
+    /**
+     * Enter replay mode for a record
+     * @param {GameRecord} record
+     */
+    start(record) {
+        if (!record) return;
+
+        // Replay on a scratch engine so the live game keeps its state
+        const scratch = this.game.wasm.createScratch();
+        const states = [];
+        try {
+            record.replay(scratch, () => states.push(scratch.getGameState()));
+            states.push(scratch.getGameState());
+        } finally {
+            scratch.dispose();
+        }
+
+        this.pause();
+        this.record = record;
+        this.states = states;
+        this.isActive = true;
+
+        document.getElementById('setup-modal').style.display = 'none';
+        document.getElementById('game-over-modal').style.display = 'none';
+        this.elements.bar.classList.remove('hidden');
+        this.elements.slider.max = states.length - 1;
+
+        this.game.updateHistoryUI();
+        this.jumpTo(0);
+    }
+
+    /**
+     * Leave replay mode and hand the board back to the live game
+     */
+    exit() {
+        if (!this.isActive) return;
+
+        this.pause();
+        this.isActive = false;
+        this.record = null;
+        this.states = [];
+        this.elements.bar.classList.add('hidden');
+
+        const game = this.game;
+        if (!game.state) {
+            document.getElementById('setup-modal').style.display = 'flex';
+            return;
+        }
+
+        game.ui.render(game.state);
+        game.updateHistoryUI();
+        if (game.wasm.isGameOver()) {
+            game.endGame();
+        } else if (!game.wasm.needsGemDiscard()) {
+            game.checkAITurn();
+        }
+    }
+
+    /**
+     * Show position `index` without animation
+     */
+    jumpTo(index) {
+        if (!this.isActive || this.isAnimating) return;
+        this.index = Math.max(0, Math.min(index, this.states.length - 1));
+        this.renderCurrent();
+    }
+
+    /**
+     * Advance one action, animating it on the current board
+     */
+    async stepForward() {
+        if (!this.isActive || this.isAnimating || this.index >= this.states.length - 1) return;
+
+        const entry = this.record.actions[this.index];
+        this.isAnimating = true;
+        try {
+            await this.game.animateAction(entry.action, entry.player);
+            await this.game.animateNobleVisit(this.states[this.index], this.states[this.index + 1], entry.player);
+        } finally {
+            this.isAnimating = false;
+        }
+
+        // The viewer may have been closed during the animation
+        if (!this.isActive) return;
+        this.index++;
+        this.renderCurrent();
+    }
+
+    stepBack() {
+        this.jumpTo(this.index - 1);
+    }
+
+    togglePlay() {
+        if (this.isPlaying) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    async play() {
+        if (!this.isActive || this.isPlaying) return;
+
+        // Restart from the beginning when already at the end
+        if (this.index >= this.states.length - 1) {
+            this.jumpTo(0);
+        }
+
+        const token = ++this.playToken;
+        this.isPlaying = true;
+        this.updateControls();
+
+        while (this.isPlaying && this.isActive && this.index < this.states.length - 1) {
+            await this.game.delay(this.baseDelay / this.speed);
+            if (token !== this.playToken || !this.isPlaying || !this.isActive) return;
+            await this.stepForward();
+        }
+
+        if (token === this.playToken) {
+            this.isPlaying = false;
+            this.updateControls();
+        }
+    }
+
+    pause() {
+        this.playToken++;
+        this.isPlaying = false;
+        this.updateControls();
+    }
+
+    renderCurrent() {
+        const state = this.states[this.index];
+        this.game.ui.render(state);
+
+        const total = this.states.length - 1;
+        const status = this.game.ui.elements.statusMessage;
+        if (this.index === 0) {
+            status.textContent = I18n.t('replay.startOfGame');
+        } else {
+            const entry = this.record.actions[this.index - 1];
+            status.textContent = I18n.t('replay.move', { move: this.game.ui.describeAction(entry, this.states[this.index - 1]) });
+        }
+        if (this.index === total && this.record.result) {
+            const winner = state.players[this.record.result.winner];
+            if (winner) {
+                status.textContent = I18n.t('replay.winner', { status: status.textContent, name: winner.name });
+            }
+        }
+        status.style.color = "#9b59b6";
+
+        this.updateControls();
+    }
+
+    updateControls() {
+        if (!this.elements.bar) return;
+
+        const total = Math.max(this.states.length - 1, 0);
+        this.elements.slider.value = this.index;
+        this.elements.position.textContent = I18n.t('replay.position', { index: this.index, total: total });
+        this.elements.startBtn.disabled = this.index === 0;
+        this.elements.backBtn.disabled = this.index === 0;
+        this.elements.forwardBtn.disabled = this.index >= total;
+        this.elements.endBtn.disabled = this.index >= total;
+        this.elements.playBtn.textContent = this.isPlaying ? '⏸' : '▶';
+        this.elements.playBtn.title = I18n.t(this.isPlaying ? 'replay.pause' : 'replay.play');
+    }
+}
\ No newline at end of file
@@ -0,0 +1,109 @@
+/**
+ * SettingsPanel - One dialog for all preferences
+ * Each field names its preference in a data-pref attribute and writes it to the
+ * PreferencesStore as soon as it changes; GameController.applyPreferences puts the new
+ * values into effect. The theme is chosen through Theme, which reports back to the store.
+ */
+class SettingsPanel {
+    constructor(gameController) {
+        this.game = gameController;
+        this.elements = {};
+    }
+
+    init() {
+        this.elements = {
+            modal: document.getElementById('settings-modal'),
+            openBtn: document.getElementById('settings-btn'),
+            closeBtn: document.getElementById('settings-close-btn'),
+            levelSelect: document.getElementById('setting-ai-level'),
+            themeSelect: document.getElementById('setting-theme'),
+            palettesBtn: document.getElementById('edit-palettes-btn'),
+            fields: document.querySelectorAll('#settings-modal [data-pref]')
+        };
+
+        this.renderLevels();
+        this.elements.openBtn.addEventListener('click', () => this.open());
+        this.elements.closeBtn.addEventListener('click', () => this.close());
+        this.elements.fields.forEach(field => {
+            field.addEventListener('change', () => this.onFieldChange(field));
+        });
+        this.elements.themeSelect.addEventListener('change', (e) => Theme.setTheme(e.target.value));
+        this.elements.palettesBtn.addEventListener('click', () => this.game.themeDialog.open());
+
+        // The level and theme lists carry translated names (and the user's palettes)
+        I18n.onChange(() => {
+            this.renderLevels();
+            this.renderThemes();
+        });
+        Theme.onChange(() => this.renderThemes());
+    }
+
+    open() {
+        this.sync();
+        this.elements.modal.style.display = 'flex';
+    }
+
+    close() {
+        this.elements.modal.style.display = 'none';
+    }
+
+    /**
+     * Show the stored values in the fields
+     */
+    sync() {
+        const preferences = this.game.preferences;
+        this.elements.fields.forEach(field => {
+            const value = preferences.get(field.getAttribute('data-pref'));
+            if (field.type === 'checkbox') {
+                field.checked = value;
+            } else {
+                field.value = value;
+            }
+        });
+        this.renderThemes();
+    }
+
+    renderLevels() {
+        const select = this.elements.levelSelect;
+        select.innerHTML = '';
+        DifficultyPresets.getLevels().forEach(({ id, name }) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = name;
+            select.appendChild(option);
+        });
+        select.value = this.game.preferences.get('aiLevel');
+    }
+
+    renderThemes() {
+        const select = this.elements.themeSelect;
+        select.innerHTML = '';
+        Theme.getThemes().forEach(({ id, name }) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = name;
+            select.appendChild(option);
+        });
+        select.value = Theme.current;
+    }
+
+    onFieldChange(field) {
+        const key = field.getAttribute('data-pref');
+        let value = field.value;
+        if (field.type === 'checkbox') {
+            value = field.checked;
+        } else if (field.type === 'number') {
+            value = Math.min(parseFloat(field.max), Math.max(parseFloat(field.min), parseFloat(field.value)));
+            if (Number.isNaN(value)) {
+                // Not a number: put the stored value back
+                field.value = this.game.preferences.get(key);
+                return;
+            }
+            if (Number.isInteger(parseFloat(field.step))) {
+                value = Math.round(value);
+            }
+            field.value = value;
+        }
+        this.game.preferences.set({ [key]: value });
+    }
+}
\ No newline at end of file
@@ -0,0 +1,64 @@
+/**
+ * SoundEffects - Short synthesized cues for moves (no audio files to load)
+ * Each sound is a few sine tones played one after another through the Web Audio API.
+ * Browsers only start audio after a user gesture; until then the cues stay silent.
+ */
+class SoundEffects {
+    constructor() {
+        this.enabled = false;
+        this.context = null;
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+    }
+
+    /**
+     * @param {string} name - Key of SoundEffects.SOUNDS
+     */
+    play(name) {
+        const notes = SoundEffects.SOUNDS[name];
+        if (!this.enabled || !notes) return;
+
+        const context = this.getContext();
+        if (!context) return;
+        if (context.state === 'suspended') {
+            context.resume();
+        }
+
+        let start = context.currentTime;
+        notes.forEach(frequency => {
+            const oscillator = context.createOscillator();
+            const gain = context.createGain();
+            oscillator.frequency.value = frequency;
+            gain.gain.setValueAtTime(SoundEffects.VOLUME, start);
+            gain.gain.exponentialRampToValueAtTime(0.001, start + SoundEffects.NOTE_SECONDS);
+            oscillator.connect(gain);
+            gain.connect(context.destination);
+            oscillator.start(start);
+            oscillator.stop(start + SoundEffects.NOTE_SECONDS);
+            start += SoundEffects.NOTE_SECONDS * 0.8;
+        });
+    }
+
+    getContext() {
+        if (!this.context) {
+            const AudioContext = window.AudioContext || window.webkitAudioContext;
+            if (!AudioContext) return null;
+            this.context = new AudioContext();
+        }
+        return this.context;
+    }
+}
+
+SoundEffects.VOLUME = 0.15;
+SoundEffects.NOTE_SECONDS = 0.12;
+
+// Note frequencies (Hz) per cue
+SoundEffects.SOUNDS = {
+    gems: [880],
+    reserve: [587, 440],
+    purchase: [523, 659, 784],
+    noble: [523, 659, 784, 1047],
+    gameOver: [784, 659, 523, 659, 784]
+};
\ No newline at end of file
@@ -0,0 +1,116 @@
+/**
+ * SpectatorController - Pause, resume and single-step control over AI moves
+ * Shown when two or more seats are AI. GameController.checkAITurn asks it before
+ * every AI move, so a pause takes effect once the move in progress completes.
+ */
+class SpectatorController {
+    constructor(gameController) {
+        this.game = gameController;
+        this.isPaused = false;
+        this.stepRequested = false;
+        this.moveDelay = 50; // ms before each AI move starts
+        this.elements = {};
+    }
+
+    init() {
+        this.elements = {
+            bar: document.getElementById('spectator-bar'),
+            pauseBtn: document.getElementById('spectator-pause-btn'),
+            stepBtn: document.getElementById('spectator-step-btn'),
+            delaySelect: document.getElementById('spectator-delay'),
+            status: document.getElementById('spectator-status')
+        };
+
+        this.elements.pauseBtn.addEventListener('click', () => this.togglePause());
+        this.elements.stepBtn.addEventListener('click', () => this.step());
+        this.elements.delaySelect.addEventListener('change', (e) => {
+            this.moveDelay = parseInt(e.target.value);
+        });
+    }
+
+    /**
+     * Whether the current lineup gets the spectator bar
+     */
+    isAvailable() {
+        return this.game.seats.filter(seat => seat.type === 'ai').length >= 2;
+    }
+
+    /**
+     * Called by the AI loop before each move
+     * @returns {boolean} Whether the next AI move may start
+     */
+    allowMove() {
+        if (!this.isPaused) return true;
+        if (this.stepRequested) {
+            this.stepRequested = false;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * New games start unpaused
+     */
+    reset() {
+        this.isPaused = false;
+        this.stepRequested = false;
+    }
+
+    togglePause() {
+        if (this.isPaused) {
+            this.resume();
+        } else {
+            this.pause();
+        }
+    }
+
+    pause() {
+        this.isPaused = true;
+        this.stepRequested = false;
+        this.update();
+        if (this.game.state && !this.game.replay.isActive) {
+            this.game.ui.updateHeader(this.game.state);
+        }
+    }
+
+    resume() {
+        this.isPaused = false;
+        this.stepRequested = false;
+        this.update();
+        this.game.checkAITurn();
+    }
+
+    /**
+     * Play exactly one AI move, staying paused afterwards
+     */
+    step() {
+        if (!this.isPaused || this.game.isAILoopRunning) return;
+        this.stepRequested = true;
+        this.update();
+        this.game.checkAITurn();
+    }
+
+    /**
+     * Refresh the bar after a move, a pause or a new game
+     */
+    update() {
+        if (!this.elements.bar) return;
+
+        const game = this.game;
+        const visible = !!game.state && !game.replay.isActive && this.isAvailable();
+        this.elements.bar.classList.toggle('hidden', !visible);
+        if (!visible) return;
+
+        const aiToMove = !game.isHumanTurn() && !game.wasm.isGameOver() && game.redoStack.length === 0;
+        this.elements.pauseBtn.textContent = I18n.t(this.isPaused ? 'spectator.resume' : 'spectator.pause');
+        this.elements.stepBtn.disabled = !this.isPaused || !aiToMove || game.isAILoopRunning;
+
+        if (!this.isPaused) {
+            this.elements.status.textContent = '';
+        } else if (game.isAILoopRunning) {
+            this.elements.status.textContent = I18n.t('spectator.pausing');
+        } else {
+            this.elements.status.textContent = I18n.t('spectator.paused');
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,300 @@
+/**
+ * Theme - Color palettes for the whole page
+ * A palette maps role names to colors; Theme.apply() writes them to CSS custom properties
+ * on <html> (--theme-<role> and --gem-<color>, plus a darker --gem-<color>-shade for the
+ * gem gradients). The style sheets take their colors from these; the only fixed colors
+ * left are white text on colored buttons, translucent shadows and overlays, the card,
+ * noble and deck art, and the arena's buttons. Built-in themes are registered below; user
+ * palettes start from a built-in theme and override some of its colors. The chosen theme and the palettes are saved with the player's preferences
+ * (PreferencesStore) by whoever listens to onChange(), except for previews.
+ * Code that draws colors inline (card costs, graphs) reads them through gemColor() and
+ * seatColor() and listens to onChange().
+ */
+class Theme {
+    /**
+     * @param {string} id - e.g. 'dark'
+     * @param {Object} palette - Role colors, with gems (per gem color) and seats (per seat)
+     */
+    static register(id, palette) {
+        Theme.builtIn[id] = palette;
+    }
+
+    /**
+     * Built-in themes followed by the user's palettes
+     * @returns {Array} { id, name, custom }
+     */
+    static getThemes() {
+        const builtIn = Object.keys(Theme.builtIn).map(id => ({ id, name: I18n.t(`theme.${id}`), custom: false }));
+        const custom = Theme.palettes.map(palette => ({ id: palette.id, name: palette.name, custom: true }));
+        return builtIn.concat(custom);
+    }
+
+    /**
+     * Start with the saved theme, else follow the system's light/dark setting
+     * @param {string|null} themeId - Saved theme
+     * @param {Array} palettes - Saved user palettes
+     */
+    static init(themeId, palettes) {
+        Theme.palettes = palettes.slice();
+        if (!Theme.resolve(themeId)) {
+            const prefersLight = window.matchMedia('(prefers-color-scheme: light)').matches;
+            themeId = prefersLight ? 'light' : Theme.DEFAULT_THEME;
+        }
+        Theme.current = themeId;
+        Theme.apply(Theme.resolve(themeId));
+    }
+
+    static setTheme(id) {
+        if (!Theme.resolve(id)) return;
+
+        Theme.current = id;
+        Theme.apply(Theme.resolve(id));
+        Theme.notify();
+    }
+
+    /**
+     * @param {Function} listener - Called with the current theme id and whether the colors
+     *   on screen are only a preview (nothing to save)
+     */
+    static onChange(listener) {
+        Theme.listeners.push(listener);
+    }
+
+    /**
+     * Show a palette without choosing or saving it (palette editor)
+     */
+    static preview(palette) {
+        Theme.apply(palette);
+        Theme.notify(true);
+    }
+
+    static notify(isPreview = false) {
+        Theme.listeners.forEach(listener => listener(Theme.current, isPreview));
+    }
+
+    /**
+     * Full palette of a theme; a user palette is its base theme with the user's colors on top
+     * @returns {Object|null}
+     */
+    static resolve(id) {
+        if (Theme.builtIn[id]) return Theme.builtIn[id];
+
+        const custom = Theme.palettes.find(palette => palette.id === id);
+        if (!custom) return null;
+        return Theme.merge(Theme.builtIn[custom.base] || Theme.builtIn[Theme.DEFAULT_THEME], custom.colors);
+    }
+
+    static merge(base, colors) {
+        return {
+            ...base,
+            ...colors,
+            gems: { ...base.gems, ...(colors.gems || {}) },
+            seats: base.seats
+        };
+    }
+
+    /**
+     * Save a user palette (new when id is null) and switch to it
+     * @param {Object} palette - { id, name, base, colors }
+     * @returns {string} Id of the saved palette
+     */
+    static savePalette({ id, name, base, colors }) {
+        const saved = { id: id || `custom-${Date.now()}`, name, base, colors };
+        const index = Theme.palettes.findIndex(palette => palette.id === saved.id);
+        if (index === -1) {
+            Theme.palettes.push(saved);
+        } else {
+            Theme.palettes[index] = saved;
+        }
+        Theme.setTheme(saved.id);
+        return saved.id;
+    }
+
+    static deletePalette(id) {
+        Theme.palettes = Theme.palettes.filter(palette => palette.id !== id);
+        if (Theme.current === id) {
+            Theme.setTheme(Theme.DEFAULT_THEME);
+        } else {
+            Theme.notify();
+        }
+    }
+
+    static getPalette(id) {
+        return Theme.palettes.find(palette => palette.id === id) || null;
+    }
+
+    /**
+     * Write a palette to the CSS custom properties (also used to preview unsaved edits)
+     */
+    static apply(palette) {
+        const style = document.documentElement.style;
+        Object.entries(palette).forEach(([role, value]) => {
+            if (typeof value !== 'string') return;
+            style.setProperty(`--theme-${role.replace(/[A-Z]/g, letter => '-' + letter.toLowerCase())}`, value);
+        });
+        Object.entries(palette.gems).forEach(([color, value]) => {
+            style.setProperty(`--gem-${color}`, value);
+            style.setProperty(`--gem-${color}-shade`, Theme.shade(value, 0.2));
+        });
+        style.colorScheme = palette.scheme;
+        Theme.active = palette;
+    }
+
+    /**
+     * Color of a gem in the active theme
+     * @param {string} color - Gem color in any case, e.g. 'WHITE'
+     */
+    static gemColor(color) {
+        return Theme.active.gems[color.toLowerCase()] || Theme.active.text;
+    }
+
+    static seatColor(seatIndex) {
+        return Theme.active.seats[seatIndex % Theme.active.seats.length];
+    }
+
+    /**
+     * Darken a #rrggbb color towards black by amount (0-1)
+     */
+    static shade(hex, amount) {
+        const value = parseInt(hex.slice(1), 16);
+        const channel = (shift) => Math.round(((value >> shift) & 0xff) * (1 - amount));
+        return '#' + [16, 8, 0].map(shift => channel(shift).toString(16).padStart(2, '0')).join('');
+    }
+}
+
+Theme.DEFAULT_THEME = 'dark';
+Theme.builtIn = {};
+Theme.palettes = [];
+Theme.current = null;
+Theme.active = null;
+Theme.listeners = [];
+
+// Roles a user palette can change, in the order the editor lists them
+Theme.EDITABLE_ROLES = ['background', 'surface', 'text', 'board', 'panel', 'panelText', 'accent'];
+
+Theme.register('dark', {
+    scheme: 'dark',
+    background: '#2c3e50',
+    surface: '#34495e',
+    text: '#ffffff',
+    accent: '#f1c40f',
+    board: '#c0392b',
+    panel: '#ecf0f1',
+    panelText: '#2c3e50',
+    panelBorder: '#bdc3c7',
+    primary: '#3498db',
+    primaryHover: '#2980b9',
+    success: '#2ecc71',
+    warning: '#f39c12',
+    danger: '#e74c3c',
+    dangerHover: '#c0392b',
+    tooltip: '#2c3e50',
+    muted: '#bdc3c7',
+    panelMuted: '#5d6d7e',
+    panelHover: '#dfe6e9',
+    disabled: '#95a5a6',
+    button: '#27ae60',
+    buttonHover: '#2ecc71',
+    secondary: '#e67e22',
+    secondaryHover: '#d35400',
+    hint: '#8e44ad',
+    hintHover: '#9b59b6',
+    focus: '#1abc9c',
+    arenaSurface: '#2a2a2a',
+    arenaInput: '#222222',
+    arenaText: '#eeeeee',
+    arenaMuted: '#aaaaaa',
+    arenaSection: '#333333',
+    arenaItem: '#444444',
+    arenaBorder: '#444444',
+    arenaRowHover: '#3a3a3a',
+    arenaBar: '#4caf50',
+    arenaBarEnd: '#8bc34a',
+    gems: { white: '#ffffff', blue: '#3498db', green: '#2ecc71', red: '#e74c3c', black: '#34495e', gold: '#f1c40f' },
+    seats: ['#3498db', '#e67e22', '#2ecc71', '#e74c3c']
+});
+
+Theme.register('light', {
+    scheme: 'light',
+    background: '#ecf0f1',
+    surface: '#ffffff',
+    text: '#2c3e50',
+    accent: '#d4ac0d',
+    board: '#d98880',
+    panel: '#ffffff',
+    panelText: '#2c3e50',
+    panelBorder: '#bdc3c7',
+    primary: '#2e86c1',
+    primaryHover: '#21618c',
+    success: '#239b56',
+    warning: '#ca6f1e',
+    danger: '#cb4335',
+    dangerHover: '#a93226',
+    tooltip: '#34495e',
+    muted: '#5d6d7e',
+    panelMuted: '#5d6d7e',
+    panelHover: '#eaf2f8',
+    disabled: '#aab7b8',
+    button: '#239b56',
+    buttonHover: '#1e8449',
+    secondary: '#d35400',
+    secondaryHover: '#a04000',
+    hint: '#7d3c98',
+    hintHover: '#6c3483',
+    focus: '#117a65',
+    arenaSurface: '#fafafa',
+    arenaInput: '#ffffff',
+    arenaText: '#222222',
+    arenaMuted: '#666666',
+    arenaSection: '#f0f0f0',
+    arenaItem: '#e4e4e4',
+    arenaBorder: '#dddddd',
+    arenaRowHover: '#eeeeee',
+    arenaBar: '#43a047',
+    arenaBarEnd: '#7cb342',
+    gems: { white: '#ffffff', blue: '#2e86c1', green: '#28b463', red: '#e74c3c', black: '#2c3e50', gold: '#f1c40f' },
+    seats: ['#2e86c1', '#d35400', '#239b56', '#cb4335']
+});
+
+// Pure colors on black; the gem colors are told apart by brightness as well as hue
+Theme.register('highContrast', {
+    scheme: 'dark',
+    background: '#000000',
+    surface: '#000000',
+    text: '#ffffff',
+    accent: '#ffff00',
+    board: '#1a1a1a',
+    panel: '#ffffff',
+    panelText: '#000000',
+    panelBorder: '#000000',
+    primary: '#0050ff',
+    primaryHover: '#0030c0',
+    success: '#00ff00',
+    warning: '#ffa500',
+    danger: '#ff3030',
+    dangerHover: '#c00000',
+    tooltip: '#000000',
+    muted: '#ffffff',
+    panelMuted: '#000000',
+    panelHover: '#ffff00',
+    disabled: '#555555',
+    button: '#008000',
+    buttonHover: '#006000',
+    secondary: '#c05000',
+    secondaryHover: '#903c00',
+    hint: '#8000ff',
+    hintHover: '#a040ff',
+    focus: '#00ffff',
+    arenaSurface: '#000000',
+    arenaInput: '#000000',
+    arenaText: '#ffffff',
+    arenaMuted: '#ffffff',
+    arenaSection: '#000000',
+    arenaItem: '#1a1a1a',
+    arenaBorder: '#ffffff',
+    arenaRowHover: '#333333',
+    arenaBar: '#00ff00',
+    arenaBarEnd: '#00ff00',
+    gems: { white: '#ffffff', blue: '#0070ff', green: '#00c000', red: '#ff0000', black: '#606060', gold: '#ffd700' },
+    seats: ['#00bfff', '#ffa500', '#00ff00', '#ff40ff']
+});
\ No newline at end of file
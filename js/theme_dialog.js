@@ -0,0 +1,137 @@
+/**
+ * ThemeDialog - Picks the theme and edits user palettes (opened from the settings panel)
+ * A palette is edited on top of a theme: the color fields start from that theme, every
+ * change is previewed on the page at once, and "Save palette" stores the fields as a
+ * user palette (or updates the one being edited). Closing without saving restores the
+ * chosen theme.
+ */
+class ThemeDialog {
+    constructor() {
+        this.editingId = null; // User palette being edited, null for a new one
+        this.baseId = Theme.DEFAULT_THEME; // Built-in theme the fields start from
+        this.dirty = false;
+        this.elements = {};
+    }
+
+    init() {
+        this.elements = {
+            modal: document.getElementById('theme-modal'),
+            select: document.getElementById('theme-select'),
+            editor: document.getElementById('palette-editor'),
+            nameInput: document.getElementById('palette-name'),
+            saveBtn: document.getElementById('palette-save-btn'),
+            deleteBtn: document.getElementById('palette-delete-btn'),
+            closeBtn: document.getElementById('theme-close-btn')
+        };
+
+        this.elements.closeBtn.addEventListener('click', () => this.close());
+        this.elements.select.addEventListener('change', (e) => {
+            Theme.setTheme(e.target.value);
+            this.load(e.target.value);
+        });
+        this.elements.editor.addEventListener('input', () => {
+            this.dirty = true;
+            Theme.preview(Theme.merge(Theme.builtIn[this.baseId], this.readColors()));
+        });
+        this.elements.saveBtn.addEventListener('click', () => this.savePalette());
+        this.elements.deleteBtn.addEventListener('click', () => {
+            Theme.deletePalette(this.editingId);
+            this.refresh();
+        });
+        I18n.onChange(() => {
+            if (this.isOpen()) this.refresh();
+        });
+    }
+
+    open() {
+        this.refresh();
+        this.elements.modal.style.display = 'flex';
+    }
+
+    close() {
+        if (this.dirty) {
+            Theme.setTheme(Theme.current);
+        }
+        this.dirty = false;
+        this.elements.modal.style.display = 'none';
+    }
+
+    isOpen() {
+        return this.elements.modal.style.display === 'flex';
+    }
+
+    /**
+     * Refill the theme list and show the current theme's colors
+     */
+    refresh() {
+        const select = this.elements.select;
+        select.innerHTML = '';
+        Theme.getThemes().forEach(({ id, name }) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = name;
+            select.appendChild(option);
+        });
+        select.value = Theme.current;
+        this.load(Theme.current);
+    }
+
+    /**
+     * Fill the color fields from a theme
+     */
+    load(themeId) {
+        const custom = Theme.getPalette(themeId);
+        this.editingId = custom ? custom.id : null;
+        this.baseId = custom ? custom.base : themeId;
+        this.dirty = false;
+        this.elements.nameInput.value = custom ? custom.name : '';
+        this.elements.deleteBtn.classList.toggle('hidden', !custom);
+
+        const palette = Theme.resolve(themeId);
+        const editor = this.elements.editor;
+        editor.innerHTML = '';
+        Theme.EDITABLE_ROLES.forEach(role => {
+            editor.appendChild(this.createField(role, I18n.t(`theme.role.${role}`), palette[role]));
+        });
+        WasmInterface.GEM_KEYS.forEach(color => {
+            editor.appendChild(this.createField(`gem-${color}`, I18n.t('theme.gem', { color: I18n.t(`color.${color}`) }), palette.gems[color]));
+        });
+    }
+
+    createField(key, label, value) {
+        const field = document.createElement('label');
+        field.className = 'palette-field';
+        const input = document.createElement('input');
+        input.type = 'color';
+        input.value = value;
+        input.setAttribute('data-key', key);
+        const text = document.createElement('span');
+        text.textContent = label;
+        field.appendChild(input);
+        field.appendChild(text);
+        return field;
+    }
+
+    /**
+     * Colors in the fields, in palette form ({ role: color, gems: { color: color } })
+     */
+    readColors() {
+        const colors = { gems: {} };
+        this.elements.editor.querySelectorAll('input[data-key]').forEach(input => {
+            const key = input.getAttribute('data-key');
+            if (key.startsWith('gem-')) {
+                colors.gems[key.slice(4)] = input.value;
+            } else {
+                colors[key] = input.value;
+            }
+        });
+        return colors;
+    }
+
+    savePalette() {
+        const name = this.elements.nameInput.value.trim() ||
+            I18n.t('theme.defaultName', { number: Theme.palettes.length + 1 });
+        Theme.savePalette({ id: this.editingId, name, base: this.baseId, colors: this.readColors() });
+        this.refresh();
+    }
+}
\ No newline at end of file
@@ -0,0 +1,146 @@
+/**
+ * TouchController - Touch-first layout for phones and tablets
+ * Chosen automatically from the viewport (TouchController.MEDIA_QUERY) and marked with the
+ * touch-layout class on <body>. Touch screens have no double-click or hover, so a long
+ * press on a gem (or the ×2 toggle before a tap) takes two of that color, a tap on a card
+ * keeps its affordability details open until the next tap elsewhere, and the opponents'
+ * panels fold down to a one-line summary.
+ */
+class TouchController {
+    constructor(gameController) {
+        this.game = gameController;
+        this.isActive = false;
+        this.takeTwo = false; // ×2 toggle: the next gem tap takes two
+        this.previewCardId = null; // Card whose details stay open
+        this.seatStates = new Map(); // player id -> collapsed, once the player has toggled it
+        this.longPressTimer = null;
+        this.suppressClick = false; // The click that ends a long press is not a tap
+        this.elements = {};
+    }
+
+    init() {
+        this.elements = {
+            gemPool: document.getElementById('gem-pool'),
+            takeTwoBtn: document.getElementById('take-two-btn')
+        };
+
+        const media = window.matchMedia(TouchController.MEDIA_QUERY);
+        this.setActive(media.matches);
+        media.addEventListener('change', (e) => this.setActive(e.matches));
+
+        this.elements.takeTwoBtn.addEventListener('click', () => this.setTakeTwo(!this.takeTwo));
+
+        // Capture phase: runs before the gem stack's own click handler
+        this.elements.gemPool.addEventListener('click', (e) => {
+            const stack = e.target.closest('.gem-stack');
+            if (!stack) return;
+            const color = stack.getAttribute('data-color');
+            if (this.suppressClick) {
+                this.suppressClick = false;
+                e.stopPropagation();
+            } else if (this.takeTwo && color !== 'GOLD') {
+                e.stopPropagation();
+                this.setTakeTwo(false);
+                this.game.onGemDoubleClick(color);
+            }
+        }, true);
+
+        // A new press, or one the browser took over (no click follows), ends any suppression
+        ['pointerdown', 'pointercancel'].forEach(type => {
+            this.elements.gemPool.addEventListener(type, () => {
+                this.suppressClick = false;
+            }, true);
+        });
+
+        this.elements.gemPool.querySelectorAll('.gem-stack:not(.gem-stack-gold)').forEach(stack => {
+            stack.addEventListener('pointerdown', (e) => this.startLongPress(e, stack));
+            ['pointerup', 'pointerleave', 'pointercancel'].forEach(type => {
+                stack.addEventListener(type, () => this.cancelLongPress(stack));
+            });
+            // Keep the browser's long-press menu off the gems
+            stack.addEventListener('contextmenu', (e) => e.preventDefault());
+        });
+
+        // A tap anywhere but on a card closes the card details
+        document.addEventListener('click', (e) => {
+            if (this.previewCardId !== null && !e.target.closest('.card')) {
+                this.clearPreview();
+            }
+        });
+    }
+
+    setActive(active) {
+        this.isActive = active;
+        document.body.classList.toggle('touch-layout', active);
+        if (!active) {
+            this.setTakeTwo(false);
+            this.previewCardId = null;
+        }
+        const state = this.game.ui.renderedState;
+        if (state) {
+            this.game.ui.render(state);
+        }
+    }
+
+    setTakeTwo(on) {
+        this.takeTwo = on;
+        this.elements.takeTwoBtn.classList.toggle('active', on);
+        this.elements.takeTwoBtn.setAttribute('aria-pressed', on ? 'true' : 'false');
+    }
+
+    startLongPress(e, stack) {
+        if (!this.isActive || e.button !== 0) return;
+        this.cancelLongPress(stack);
+        stack.classList.add('pressing');
+        this.longPressTimer = setTimeout(() => {
+            this.longPressTimer = null;
+            stack.classList.remove('pressing');
+            this.suppressClick = true;
+            this.setTakeTwo(false);
+            this.game.onGemDoubleClick(stack.getAttribute('data-color'));
+        }, TouchController.LONG_PRESS_MS);
+    }
+
+    cancelLongPress(stack) {
+        stack.classList.remove('pressing');
+        if (this.longPressTimer) {
+            clearTimeout(this.longPressTimer);
+            this.longPressTimer = null;
+        }
+    }
+
+    /**
+     * Keep a tapped card's details open (they are shown again after every re-render)
+     */
+    preview(cardId) {
+        if (!this.isActive) return;
+        this.previewCardId = cardId;
+        this.game.ui.showCardPreview(cardId);
+    }
+
+    clearPreview() {
+        this.previewCardId = null;
+        this.game.ui.hideCardTooltip();
+    }
+
+    /**
+     * Opponents start folded; a seat the player has toggled keeps that choice
+     */
+    isSeatCollapsed(playerId) {
+        return this.seatStates.has(playerId) ? this.seatStates.get(playerId) : true;
+    }
+
+    toggleSeat(playerId, wrapper) {
+        const collapsed = !wrapper.classList.contains('collapsed');
+        this.seatStates.set(playerId, collapsed);
+        wrapper.classList.toggle('collapsed', collapsed);
+        const button = wrapper.querySelector('.player-collapse-btn');
+        if (button) {
+            this.game.ui.updateCollapseButton(button, collapsed);
+        }
+    }
+}
+
+// Narrow screens, or any screen driven by a finger
+TouchController.MEDIA_QUERY = '(max-width: 900px), (pointer: coarse)';
+TouchController.LONG_PRESS_MS = 500;
\ No newline at end of file
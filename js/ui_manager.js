@@ -5,20 +5,38 @@ class UIManager {
         this.gemColors = ['WHITE', 'BLUE', 'GREEN', 'RED', 'BLACK', 'GOLD'];
         this.aiTimerInterval = null;
         this.aiTimerStartTime = null;
+        this.renderedState = null; // State currently on the board (live game or replay step)
+        this.resumeSave = null; // Autosave offered in the setup modal
+        this.defaultTimeLimit = 2.5; // AI seconds per move for new custom-level seats (preferences)
+        this.defaultLevel = DifficultyPresets.DEFAULT; // Difficulty preset for new AI seats (preferences)
+        this.animationSpeed = 1; // Duration factor of the move animations, 0 for none
+        this.cardPreviews = new Map(); // card id -> shows its details, for the cards on the board now
+        
+        // Seats offered by the setup modal; blank names get a default on start
+        this.lineup = [
+            { type: 'human', name: '', timeLimit: this.defaultTimeLimit, level: this.defaultLevel },
+            { type: 'ai', name: '', timeLimit: this.defaultTimeLimit, level: this.defaultLevel }
+        ];
     }
     
     init(controller) {
         this.controller = controller;
         this.cacheElements();
         this.attachEventListeners();
+        this.renderLineupEditor();
     }
     
     cacheElements() {
         this.elements = {
             turnInfo: document.getElementById('turn-info'),
             currentPlayer: document.getElementById('current-player'),
+            aiLevelInfo: document.getElementById('ai-level-info'),
             statusMessage: document.getElementById('status-message'),
             noblesArea: document.getElementById('nobles-area'),
+            cardTooltip: document.getElementById('card-tooltip'),
+            moveAnnouncer: document.getElementById('move-announcer'),
+            colorBlindCheck: document.getElementById('color-blind-check'),
+            localeSelects: document.querySelectorAll('.locale-select'),
             tier1Cards: document.getElementById('tier1-cards'),
             tier2Cards: document.getElementById('tier2-cards'),
             tier3Cards: document.getElementById('tier3-cards'),
@@ -26,18 +44,37 @@ class UIManager {
             playersArea: document.getElementById('players-area'),
             actionPanel: document.getElementById('action-panel'),
             confirmBtn: document.getElementById('confirm-action-btn'),
+            purchaseCardBtn: document.getElementById('purchase-card-btn'),
+            reserveCardBtn: document.getElementById('reserve-card-btn'),
             cancelBtn: document.getElementById('cancel-action-btn'),
             unwindBtn: document.getElementById('unwind-btn'),
+            redoBtn: document.getElementById('redo-btn'),
+            historyBtn: document.getElementById('history-btn'),
+            historyPanel: document.getElementById('history-panel'),
+            historyList: document.getElementById('history-list'),
+            historyResumeBtn: document.getElementById('history-resume-btn'),
+            saveGameBtn: document.getElementById('save-game-btn'),
+            loadGameBtn: document.getElementById('load-game-btn'),
+            loadGameSetupBtn: document.getElementById('load-game-setup-btn'),
+            resumeGameBtn: document.getElementById('resume-game-btn'),
+            resumeGameInfo: document.getElementById('resume-game-info'),
+            loadGameInput: document.getElementById('load-game-input'),
             setupModal: document.getElementById('setup-modal'),
             gameOverModal: document.getElementById('game-over-modal'),
             winnerDisplay: document.getElementById('winner-display'),
             startGameBtn: document.getElementById('start-game-btn'),
             playAgainBtn: document.getElementById('play-again-btn'),
+            watchReplayBtn: document.getElementById('watch-replay-btn'),
+            replayBtn: document.getElementById('replay-btn'),
             firstPlayerSelect: document.getElementById('first-player'),
-            aiTimeLimitInput: document.getElementById('ai-time-limit'),
-            aiDifficultyInput: document.getElementById('ai-difficulty'),
+            lineupEditor: document.getElementById('lineup-editor'),
+            addSeatBtn: document.getElementById('add-seat-btn'),
             aiThinkingIndicator: document.getElementById('ai-thinking-indicator'),
+            moveNowBtn: document.getElementById('move-now-btn'),
             aiTimer: document.querySelector('.ai-timer'),
+            aiProgress: document.getElementById('ai-progress'),
+            aiProgressBar: document.getElementById('ai-progress-bar'),
+            aiProgressIterations: document.getElementById('ai-progress-iterations'),
             instantActionCheck: document.getElementById('instant-action-check'),
             aiDebugCheck: document.getElementById('debug-mode-check')
         };
@@ -47,6 +84,12 @@ class UIManager {
         // Gem clicks
         const gemStacks = document.querySelectorAll('.gem-stack');
         gemStacks.forEach(stack => {
+            // Gold is only taken by reserving, so its stack is not a control
+            if (stack.getAttribute('data-color') !== 'GOLD') {
+                this.makeButton(stack);
+            }
+            stack.querySelector('.gem').innerHTML = this.colorSymbol(stack.getAttribute('data-color'));
+
             stack.addEventListener('click', () => {
                 const color = stack.getAttribute('data-color');
                 if (color === 'GOLD') return; // Gold is not clickable directly
@@ -61,42 +104,135 @@ class UIManager {
             });
         });
         
+        // Symbols on every gem color for players who cannot tell the colors apart
+        this.elements.colorBlindCheck.addEventListener('change', (e) => {
+            this.controller.preferences.set({ colorBlind: e.target.checked });
+        });
+        
+        // Language pickers (header and setup modal)
+        this.elements.localeSelects.forEach(select => {
+            select.innerHTML = '';
+            I18n.getLocales().forEach(({ locale, name }) => {
+                const option = document.createElement('option');
+                option.value = locale;
+                option.textContent = name;
+                select.appendChild(option);
+            });
+            select.value = I18n.locale;
+            select.addEventListener('change', (e) => I18n.setLocale(e.target.value));
+        });
+        
         // Action buttons
         this.elements.confirmBtn.addEventListener('click', () => this.controller.onConfirmAction());
+        this.elements.purchaseCardBtn.addEventListener('click', () => this.controller.chooseCardAction('PURCHASE'));
+        this.elements.reserveCardBtn.addEventListener('click', () => this.controller.chooseCardAction('RESERVE'));
         this.elements.cancelBtn.addEventListener('click', () => this.controller.onCancelAction());
         this.elements.unwindBtn.addEventListener('click', () => this.controller.unwindAction());
+        this.elements.redoBtn.addEventListener('click', () => this.controller.redoAction());
+        this.elements.moveNowBtn.addEventListener('click', () => this.controller.moveAINow());
+        
+        // History list dropdown
+        this.elements.historyBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.elements.historyPanel.classList.toggle('hidden');
+        });
+        this.elements.historyPanel.addEventListener('click', (e) => e.stopPropagation());
+        document.addEventListener('click', () => this.elements.historyPanel.classList.add('hidden'));
+        this.elements.historyResumeBtn.addEventListener('click', () => this.controller.resumeFromHistory());
+        
+        // Undo / redo shortcuts; other keys are the keyboard controls
+        document.addEventListener('keydown', (e) => {
+            const target = e.target;
+            if (target && (target.tagName === 'INPUT' || target.tagName === 'SELECT' || target.tagName === 'TEXTAREA')) {
+                return;
+            }
+            if (!(e.ctrlKey || e.metaKey)) {
+                // A focused button keeps its own Space/Enter activation
+                const pressesButton = target && target.tagName === 'BUTTON' && (e.key === ' ' || e.key === 'Enter');
+                if (!e.altKey && !pressesButton && this.controller.keyboard.handleKey(e)) {
+                    e.preventDefault();
+                }
+                return;
+            }
+            
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.controller.undoAction();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                this.controller.redoAction();
+            }
+        });
+        
+        // Game record save/load
+        this.elements.saveGameBtn.addEventListener('click', () => this.controller.exportGameRecord());
+        this.elements.loadGameBtn.addEventListener('click', () => this.elements.loadGameInput.click());
+        this.elements.loadGameSetupBtn.addEventListener('click', () => this.elements.loadGameInput.click());
+        this.elements.resumeGameBtn.addEventListener('click', () => this.controller.resumeSavedGame());
+        this.elements.loadGameInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            // Reset so that picking the same file again still fires 'change'
+            e.target.value = '';
+            if (file) {
+                this.controller.importGameRecord(file);
+            }
+        });
         
         // Modal buttons
         this.elements.startGameBtn.addEventListener('click', () => {
             console.log("Start Game clicked");
-            // Direct DOM access to avoid any caching issues
-            const select = document.getElementById('first-player');
-            const timeLimitInput = document.getElementById('ai-time-limit');
-            const difficultyInput = document.getElementById('ai-difficulty');
+            const seats = this.readLineup();
+            const firstPlayerIndex = parseInt(this.elements.firstPlayerSelect.value) || 0;
+            const iterationLimit = this.controller.preferences.get('aiIterationLimit');
+            seats.forEach(seat => {
+                if (seat.type === 'ai') DifficultyPresets.applyToSeat(seat, iterationLimit);
+            });
             
-            if (select) {
-                const firstPlayerIndex = parseInt(select.value);
-                const aiTimeLimit = timeLimitInput ? parseFloat(timeLimitInput.value) : 2.5;
-                const aiDifficulty = difficultyInput ? parseInt(difficultyInput.value) : 5000000;
-                
-                console.log("Starting game with first player index:", firstPlayerIndex);
-                console.log("AI Time Limit:", aiTimeLimit, "seconds");
-                console.log("AI Difficulty:", aiDifficulty, "iterations");
-                
-                this.elements.setupModal.style.display = 'none';
-                this.controller.startNewGame(firstPlayerIndex, aiTimeLimit, aiDifficulty);
-            } else {
-                console.error("CRITICAL: 'first-player' select element not found!");
-                // Fallback to default (Human starts)
-                this.elements.setupModal.style.display = 'none';
-                this.controller.startNewGame(0, 2.5, 5000000);
-            }
+            console.log("Starting game with lineup:", seats);
+            console.log("First player index:", firstPlayerIndex);
+            
+            this.elements.setupModal.style.display = 'none';
+            this.controller.startNewGame(seats, firstPlayerIndex);
+        });
+        
+        // Lineup editor
+        this.elements.lineupEditor.addEventListener('change', () => {
+            this.lineup = this.readLineup({ keepBlankNames: true });
+            this.renderLineupEditor();
+        });
+        
+        this.elements.lineupEditor.addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('.seat-remove-btn');
+            if (!removeBtn || this.lineup.length <= WasmInterface.MIN_PLAYERS) return;
+            
+            const index = parseInt(removeBtn.closest('.seat-row').getAttribute('data-seat'));
+            this.lineup = this.readLineup({ keepBlankNames: true });
+            this.lineup.splice(index, 1);
+            this.renderLineupEditor();
+        });
+        
+        this.elements.addSeatBtn.addEventListener('click', () => {
+            if (this.lineup.length >= WasmInterface.MAX_PLAYERS) return;
+            
+            this.lineup = this.readLineup({ keepBlankNames: true });
+            this.lineup.push({ type: 'ai', name: '', timeLimit: this.defaultTimeLimit, level: this.defaultLevel });
+            this.renderLineupEditor();
         });
         
         this.elements.playAgainBtn.addEventListener('click', () => {
             this.elements.gameOverModal.style.display = 'none';
             this.elements.setupModal.style.display = 'flex';
         });
+        
+        // Replay viewer
+        this.elements.watchReplayBtn.addEventListener('click', () => {
+            this.elements.gameOverModal.style.display = 'none';
+            this.controller.replay.start(this.controller.gameRecord);
+        });
+        this.elements.replayBtn.addEventListener('click', () => {
+            this.controller.replay.start(this.controller.gameRecord);
+        });
 
         // AI Debug mode checkbox
         if (this.elements.aiDebugCheck) {
@@ -104,6 +240,9 @@ class UIManager {
                 this.controller.setAIDebugMode(e.target.checked);
             });
         }
+        this.elements.instantActionCheck.addEventListener('change', (e) => {
+            this.controller.preferences.set({ instantActions: e.target.checked });
+        });
 
         // Event delegation for reserved cards in player panels
         this.elements.playersArea.addEventListener('click', (e) => {
@@ -115,34 +254,107 @@ class UIManager {
     }
     
     render(state) {
+        this.renderedState = state;
+        // Cards and decks are rebuilt below; keep keyboard focus on the same one
+        const focused = this.focusSelector(document.activeElement);
+        // The hovered card is about to be replaced
+        this.hideCardTooltip();
+        this.cardPreviews.clear();
         this.updateHeader(state);
         this.renderGemPool(state.gemPool);
-        this.renderNobles(state.nobles);
+        this.renderNobles(state);
         this.renderCards(state.visibleCards, state.decks); // Pass decks info if available in state (it is)
         this.renderPlayers(state.players, state.currentPlayerIndex);
         this.updateActionPanel(state);
+        this.controller.hints.applyHighlight();
+        this.controller.keyboard.applyFocus();
+        if (this.controller.touch.previewCardId !== null) {
+            this.showCardPreview(this.controller.touch.previewCardId);
+        }
+        const refocus = focused && document.querySelector(focused);
+        if (refocus) {
+            refocus.focus();
+        }
+    }
+    
+    /**
+     * Let a clickable element be reached with Tab and pressed with Enter or Space, like a
+     * button; the key goes through the same click handler (Shift included)
+     */
+    makeButton(el) {
+        el.setAttribute('role', 'button');
+        el.tabIndex = 0;
+        el.addEventListener('keydown', (e) => {
+            if (e.key !== 'Enter' && e.key !== ' ') return;
+            // Not the keyboard controller's Space/Enter
+            e.preventDefault();
+            e.stopPropagation();
+            el.dispatchEvent(new MouseEvent('click', { bubbles: true, shiftKey: e.shiftKey }));
+        });
+    }
+    
+    /**
+     * Selector that finds a focused card or deck again after a render (null for anything else)
+     */
+    focusSelector(el) {
+        if (!el || !el.classList.contains('card')) return null;
+        if (el.classList.contains('deck')) {
+            return `#${el.parentElement.id} .card.deck`;
+        }
+        return `.card[data-card-id="${el.getAttribute('data-card-id')}"]`;
     }
     
     updateHeader(state) {
-        this.elements.turnInfo.textContent = `Turn: ${state.turnNumber}`;
+        this.elements.turnInfo.textContent = I18n.t('header.turn', { turn: state.turnNumber });
         const currentPlayer = state.players[state.currentPlayerIndex];
-        this.elements.currentPlayer.textContent = `Current Player: ${currentPlayer.name}`;
+        this.elements.currentPlayer.textContent = I18n.t('header.currentPlayer', { name: currentPlayer.name });
+        this.updateAILevelInfo();
         
-        if (currentPlayer.isHuman) {
-            this.elements.statusMessage.textContent = "Your turn! Select an action.";
-            this.elements.statusMessage.style.color = "#2ecc71";
+        if (this.controller.replay.isActive) {
+            // Status line is owned by the replay viewer
+            this.setAIThinking(false);
+        } else if (!currentPlayer.isHuman && this.controller.redoStack.length > 0) {
+            this.elements.statusMessage.textContent = I18n.t('status.rewound');
+            this.elements.statusMessage.style.color = "var(--theme-primary)";
+            this.setAIThinking(false);
+        } else if (!currentPlayer.isHuman && this.controller.spectator.isPaused &&
+                   !this.controller.isAILoopRunning && !this.controller.wasm.isGameOver()) {
+            this.elements.statusMessage.textContent = I18n.t('status.paused');
+            this.elements.statusMessage.style.color = "var(--theme-primary)";
+            this.setAIThinking(false);
+        } else if (currentPlayer.isHuman) {
+            this.elements.statusMessage.textContent = this.isHotSeat(state) ?
+                I18n.t('status.playerTurn', { name: currentPlayer.name }) :
+                I18n.t('status.yourTurn');
+            this.elements.statusMessage.style.color = "var(--theme-success)";
             this.setAIThinking(false);
         } else {
-            this.elements.statusMessage.textContent = "AI is thinking...";
-            this.elements.statusMessage.style.color = "#f39c12";
+            this.elements.statusMessage.textContent = I18n.t('status.thinking', { name: currentPlayer.name });
+            this.elements.statusMessage.style.color = "var(--theme-warning)";
             this.setAIThinking(true);
         }
     }
 
+    /**
+     * Move now stays visible where it cannot work (no cross-origin isolation, see
+     * coi-serviceworker.js, or no worker), disabled with a tooltip that says why
+     */
+    updateMoveNowButton() {
+        const button = this.elements.moveNowBtn;
+        const available = this.controller.aiProxy.canMoveNow();
+        button.disabled = !available;
+        button.setAttribute('data-i18n-title', available ? 'ai.moveNowTitle' : 'ai.moveNowUnavailable');
+        button.title = I18n.t(button.getAttribute('data-i18n-title'));
+    }
+
     setAIThinking(isThinking) {
         if (isThinking) {
             this.elements.aiThinkingIndicator.classList.remove('hidden');
-            this.startAITimer();
+            this.updateMoveNowButton();
+            // Re-renders during the same search keep the running timer
+            if (!this.aiTimerInterval) {
+                this.startAITimer();
+            }
         } else {
             this.elements.aiThinkingIndicator.classList.add('hidden');
             this.stopAITimer();
@@ -150,6 +362,7 @@ class UIManager {
     }
     
     startAITimer() {
+        this.resetAIProgress();
         this.aiTimerStartTime = Date.now();
         this.updateAITimer();
         this.aiTimerInterval = setInterval(() => this.updateAITimer(), 100);
@@ -163,6 +376,29 @@ class UIManager {
         this.aiTimerStartTime = null;
     }
     
+    /**
+     * Show search progress streamed by the AI worker: estimated iterations and the share of
+     * the budget used (the engine reports no best move before the search ends)
+     * @param {Object} progress - { iterations, elapsedMs, timeLimitMs, iterationLimit }
+     */
+    updateAIProgress(progress) {
+        if (!this.controller.state || !this.elements.aiProgress) return;
+        
+        // The search ends at whichever limit is reached first
+        const done = Math.min(1, Math.max(progress.elapsedMs / progress.timeLimitMs,
+                                           progress.iterations / progress.iterationLimit));
+        this.elements.aiProgressBar.style.width = `${Math.round(done * 100)}%`;
+        this.elements.aiProgressIterations.textContent = I18n.t('ai.iterations', { count: progress.iterations });
+        this.elements.aiProgress.classList.remove('hidden');
+    }
+    
+    resetAIProgress() {
+        if (!this.elements.aiProgress) return;
+        this.elements.aiProgress.classList.add('hidden');
+        this.elements.aiProgressBar.style.width = '0%';
+        this.elements.aiProgressIterations.textContent = '';
+    }
+    
     updateAITimer() {
         if (!this.aiTimerStartTime || !this.elements.aiTimer) return;
         
@@ -184,7 +420,10 @@ class UIManager {
             const count = gemPool[color.toLowerCase()];
             countSpan.textContent = count;
             
-            if (count === 0) {
+            // Colors that cannot join a legal take are dimmed on the human's turn
+            const blocked = color !== 'GOLD' && this.controller.isHumanTurn() &&
+                !this.controller.selectedGems.includes(color) && !this.controller.nextGemSelection(color);
+            if (count === 0 || blocked) {
                 stack.style.opacity = '0.5';
                 stack.style.cursor = 'default';
             } else {
@@ -193,27 +432,123 @@ class UIManager {
             }
             
             // Highlight selected gems
-            if (this.controller.selectedGems.includes(color)) {
+            const selected = this.controller.selectedGems.filter(c => c === color).length;
+            if (selected > 0) {
                 stack.classList.add('selected');
             } else {
                 stack.classList.remove('selected');
             }
+            
+            const label = selected > 0 ?
+                I18n.t('pool.ariaSelected', { color: this.colorName(color), count: count, selected: selected }) :
+                I18n.t('pool.aria', { color: this.colorName(color), count: count });
+            stack.setAttribute('aria-label', label);
+            stack.setAttribute('aria-pressed', selected > 0 ? 'true' : 'false');
+            stack.setAttribute('aria-disabled', count === 0 || blocked || color === 'GOLD' ? 'true' : 'false');
         });
     }
     
-    renderNobles(nobles) {
+    /**
+     * Nobles on the board, each with every player's distance to it; nobles the player to
+     * move can attract with a single purchase are highlighted
+     */
+    renderNobles(state) {
+        const claimable = this.controller.getClaimableNobles(state);
+        const currentPlayer = state.players[state.currentPlayerIndex];
         this.elements.noblesArea.innerHTML = '';
-        nobles.forEach(noble => {
-            const el = document.createElement('div');
-            el.className = 'noble';
-            el.innerHTML = `
-                <div class="noble-points">${noble.points}</div>
-                <div class="noble-reqs">
-                    ${this.renderGemReqs(noble.requirements)}
-                </div>
+        state.nobles.forEach(noble => {
+            const slot = document.createElement('div');
+            slot.className = 'noble-slot';
+            
+            const el = this.createNobleElement(noble);
+            el.title = this.describeNoble(noble);
+            if (claimable.includes(noble.id)) {
+                el.classList.add('claimable');
+                el.title = I18n.t('noble.claimable', { noble: el.title, name: currentPlayer.name });
+            }
+            slot.appendChild(el);
+            slot.appendChild(this.createNobleProgress(noble, state));
+            this.elements.noblesArea.appendChild(slot);
+        });
+    }
+    
+    /**
+     * Bonuses each player still lacks for a noble, one row per player
+     */
+    createNobleProgress(noble, state) {
+        const progress = document.createElement('div');
+        progress.className = 'noble-progress';
+        state.players.forEach((player, index) => {
+            const missing = WasmInterface.missingBonuses(player.bonuses, noble.requirements);
+            const entries = Object.entries(missing);
+            
+            const row = document.createElement('div');
+            row.className = `noble-progress-row ${index === state.currentPlayerIndex ? 'current' : ''}`;
+            row.title = entries.length === 0 ?
+                I18n.t('noble.qualifies', { name: player.name }) :
+                I18n.t('noble.needs', {
+                    name: player.name,
+                    missing: entries.map(([color, count]) => I18n.t('gems.moreOf', { count: count, color: this.colorName(color) }))
+                        .join(I18n.t('list.separator'))
+                });
+            row.setAttribute('aria-label', row.title);
+            row.innerHTML = `
+                <span class="noble-progress-name" aria-hidden="true"></span>
+                ${entries.length === 0 ? '<span class="noble-progress-done" aria-hidden="true">✓</span>' : entries.map(([color, count]) => `
+                    <span class="noble-progress-missing" aria-hidden="true">
+                        <span class="req-color" style="background-color: ${this.getColorHex(color)}">${this.colorSymbol(color)}</span>${count}
+                    </span>
+                `).join('')}
             `;
-            this.elements.noblesArea.appendChild(el);
+            row.querySelector('.noble-progress-name').textContent = player.name;
+            progress.appendChild(row);
         });
+        return progress;
+    }
+    
+    /**
+     * Noble tile as shown on the board (also used by the noble choice dialog)
+     */
+    createNobleElement(noble) {
+        const el = document.createElement('div');
+        el.className = 'noble';
+        el.setAttribute('data-noble-id', noble.id);
+        el.setAttribute('role', 'img');
+        el.setAttribute('aria-label', this.describeNoble(noble));
+        el.innerHTML = `
+            <div class="noble-points" aria-hidden="true">${noble.points}</div>
+            <div class="noble-reqs" aria-hidden="true">
+                ${this.renderGemReqs(noble.requirements)}
+            </div>
+        `;
+        return el;
+    }
+    
+    /**
+     * Tooltip text for a noble, e.g. "Noble (3 points): 4 white, 4 blue"
+     */
+    describeNoble(noble) {
+        const { gold, ...requirements } = noble.requirements;
+        return I18n.t('noble.describe', { count: noble.points, requirements: this.describeGems(requirements) });
+    }
+    
+    /**
+     * Gem counts in words, e.g. "3 white, 1 red" (colors with a count of zero are left out)
+     * @param {Object} gems - Count per lowercase color key
+     */
+    describeGems(gems) {
+        return Object.entries(gems)
+            .filter(([color, count]) => count > 0)
+            .map(([color, count]) => I18n.t('gems.amount', { count: count, color: this.colorName(color) }))
+            .join(I18n.t('list.separator'));
+    }
+    
+    /**
+     * Name of a gem color in the current language
+     * @param {string} color - Color key in any case, e.g. 'WHITE' or 'white'
+     */
+    colorName(color) {
+        return I18n.t(`color.${color.toLowerCase()}`);
     }
     
     renderGemReqs(reqs) {
@@ -222,7 +557,7 @@ class UIManager {
             if (count > 0 && color !== 'gold') {
                 html += `
                     <div class="req-item">
-                        <div class="req-color" style="background-color: ${this.getColorHex(color)}"></div>
+                        <div class="req-color" style="background-color: ${this.getColorHex(color)}">${this.colorSymbol(color)}</div>
                         <span>${count}</span>
                     </div>
                 `;
@@ -231,16 +566,221 @@ class UIManager {
         return html;
     }
     
-    getColorHex(color) {
-        const map = {
-            'white': '#ffffff',
-            'blue': '#3498db',
-            'green': '#2ecc71',
-            'red': '#e74c3c',
-            'black': '#34495e',
-            'gold': '#f1c40f'
+    isHotSeat(state) {
+        // Several humans share the screen
+        return state.players.filter(p => p.isHuman).length > 1;
+    }
+    
+    /**
+     * Show the preferences that live on the page: the quick checkboxes (color-blind
+     * symbols included), the AI level and
+     * time limit offered for new seats (seats still on the old default follow them) and
+     * the animation speed
+     */
+    applyPreferences(preferences) {
+        this.elements.instantActionCheck.checked = preferences.get('instantActions');
+        this.elements.aiDebugCheck.checked = preferences.get('aiDebug');
+        this.elements.colorBlindCheck.checked = preferences.get('colorBlind');
+        document.body.classList.toggle('color-blind', preferences.get('colorBlind'));
+        this.animationSpeed = UIManager.ANIMATION_SPEEDS[preferences.get('animationSpeed')];
+        
+        const timeLimit = preferences.get('aiTimeLimit');
+        const level = preferences.get('aiLevel');
+        if (timeLimit !== this.defaultTimeLimit || level !== this.defaultLevel) {
+            this.lineup = this.readLineup({ keepBlankNames: true });
+            this.lineup.forEach(seat => {
+                if (seat.timeLimit === this.defaultTimeLimit) seat.timeLimit = timeLimit;
+                if (seat.level === this.defaultLevel) seat.level = level;
+            });
+            this.defaultTimeLimit = timeLimit;
+            this.defaultLevel = level;
+            this.renderLineupEditor();
+        }
+    }
+    
+    /**
+     * Move animation length in the chosen animation speed
+     */
+    animationTime(ms) {
+        return ms * this.animationSpeed;
+    }
+    
+    /**
+     * Redraw the generated text of the setup modal in the new language
+     */
+    onLocaleChange() {
+        this.elements.localeSelects.forEach(select => select.value = I18n.locale);
+        this.renderLineupEditor();
+        if (this.resumeSave) {
+            this.showResumeOption(this.resumeSave);
+        }
+    }
+    
+    /**
+     * Build the seat rows of the setup modal from this.lineup
+     */
+    renderLineupEditor() {
+        const editor = this.elements.lineupEditor;
+        if (!editor) return;
+        
+        editor.innerHTML = '';
+        const canRemove = this.lineup.length > WasmInterface.MIN_PLAYERS;
+        const levels = DifficultyPresets.getLevels();
+        this.lineup.forEach((seat, index) => {
+            const isAI = seat.type === 'ai';
+            const row = document.createElement('div');
+            row.className = 'seat-row';
+            row.setAttribute('data-seat', index);
+            row.innerHTML = `
+                <span class="seat-number">${index + 1}</span>
+                <select class="seat-type">
+                    <option value="human" ${seat.type === 'human' ? 'selected' : ''}>${I18n.t('setup.human')}</option>
+                    <option value="ai" ${seat.type === 'ai' ? 'selected' : ''}>${I18n.t('setup.ai')}</option>
+                </select>
+                <input type="text" class="seat-name" maxlength="20" placeholder="${this.defaultSeatName(seat, index)}">
+                <select class="seat-level ${isAI ? '' : 'hidden'}" title="${I18n.t('setup.level')}">
+                    ${levels.map(({ id, name }) =>
+                        `<option value="${id}" ${seat.level === id ? 'selected' : ''}>${name}</option>`).join('')}
+                </select>
+                <label class="seat-time-limit ${isAI && seat.level === DifficultyPresets.CUSTOM ? '' : 'hidden'}" title="${I18n.t('setup.timeLimit')}">
+                    ⏱ <input type="number" class="seat-time-input" min="0.1" max="60" step="0.1" value="${seat.timeLimit}">
+                </label>
+                <button class="seat-remove-btn" title="${I18n.t('setup.remove')}" ${canRemove ? '' : 'disabled'}>✕</button>
+            `;
+            row.querySelector('.seat-name').value = seat.name;
+            editor.appendChild(row);
+        });
+        this.elements.addSeatBtn.disabled = this.lineup.length >= WasmInterface.MAX_PLAYERS;
+        
+        // Keep the first player choice in sync with the seats
+        const select = this.elements.firstPlayerSelect;
+        const previous = parseInt(select.value) || 0;
+        select.innerHTML = '';
+        this.lineup.forEach((seat, index) => {
+            select.appendChild(new Option(`${index + 1}: ${seat.name || this.defaultSeatName(seat, index)}`, String(index)));
+        });
+        select.value = String(Math.min(previous, this.lineup.length - 1));
+    }
+    
+    /**
+     * Read the seat rows of the setup modal
+     * @param {Object} options - keepBlankNames: leave empty names empty instead of filling defaults
+     * @returns {Array} seats as { type, name, timeLimit, level }
+     */
+    readLineup({ keepBlankNames = false } = {}) {
+        const rows = this.elements.lineupEditor.querySelectorAll('.seat-row');
+        const seats = Array.from(rows).map(row => {
+            const timeLimit = parseFloat(row.querySelector('.seat-time-input').value);
+            return {
+                type: row.querySelector('.seat-type').value,
+                name: row.querySelector('.seat-name').value.trim(),
+                timeLimit: timeLimit > 0 ? timeLimit : this.defaultTimeLimit,
+                level: row.querySelector('.seat-level').value
+            };
+        });
+        if (!keepBlankNames) {
+            seats.forEach((seat, index) => {
+                if (!seat.name) seat.name = this.defaultSeatName(seat, index, seats);
+            });
+        }
+        return seats;
+    }
+    
+    defaultSeatName(seat, index, seats = this.lineup) {
+        // Plain "Human"/"AI" unless several seats share the type
+        const sameType = seats.filter(s => s.type === seat.type).length;
+        const base = I18n.t(seat.type === 'human' ? 'setup.human' : 'setup.ai');
+        if (sameType <= 1) return base;
+        return I18n.t(seat.type === 'human' ? 'setup.playerN' : 'setup.aiN', { number: index + 1 });
+    }
+    
+    /**
+     * Name the difficulty of the game's AI seats in the header, e.g. "AI: Beginner"
+     */
+    updateAILevelInfo() {
+        const levels = [...new Set(this.controller.seats
+            .filter(seat => seat.type === 'ai')
+            .map(seat => DifficultyPresets.getName(seat.level)))];
+        this.elements.aiLevelInfo.textContent = I18n.t('header.aiLevel', { levels: levels.join(I18n.t('list.separator')) });
+        this.elements.aiLevelInfo.classList.toggle('hidden', levels.length === 0);
+    }
+    
+    isInteractivePlayer(player) {
+        // Hover hints and action buttons only make sense for a human in a live game
+        return !!player && player.isHuman && !this.controller.replay.isActive;
+    }
+    
+    /**
+     * Describe a recorded action in words, e.g. for the replay viewer
+     * @param {Object} entry - Game record entry ({ player, action, discards })
+     * @param {Object} stateBefore - State the action was made from
+     */
+    describeAction(entry, stateBefore) {
+        const colorName = (value) => this.colorName(this.controller.getGemColorString({ value: value }));
+        const player = stateBefore.players[entry.player];
+        
+        let text = this.describeMove(entry.action, stateBefore, entry.player);
+        if (entry.discards && entry.discards.length > 0) {
+            text = I18n.t('move.discards', { move: text, gems: entry.discards.map(colorName).join(I18n.t('list.separator')) });
+        }
+        return I18n.t('move.byPlayer', { name: player.name, move: text });
+    }
+    
+    /**
+     * Describe an action without the player's name, e.g. "takes white, blue, green"
+     */
+    describeMove(action, stateBefore, playerIndex) {
+        const ActionType = this.controller.wasm.module.ActionType;
+        const colorName = (value) => this.colorName(this.controller.getGemColorString({ value: value }));
+        const player = stateBefore.players[playerIndex];
+        
+        const findCard = (id) => {
+            for (const row of stateBefore.visibleCards) {
+                const card = row.find(c => c.id === id);
+                if (card) return card;
+            }
+            return player.reservedCards.find(c => c.id === id);
         };
-        return map[color.toLowerCase()] || '#000';
+        const cardLabel = (id) => {
+            const card = findCard(id);
+            return card ? this.cardLabel(card) : I18n.t('card.unknown', { id: id });
+        };
+        
+        let text;
+        switch (action.type) {
+            case ActionType.TAKE_3_DIFFERENT.value:
+            case ActionType.TAKE_2_SAME.value:
+            case ActionType.TAKE_2_DIFFERENT.value:
+            case ActionType.TAKE_SINGLE.value:
+                text = I18n.t('move.takes', { gems: action.gems.map(colorName).join(I18n.t('list.separator')) });
+                break;
+            case ActionType.RESERVE_CARD.value:
+                text = action.cardId === -1 ?
+                    I18n.t('move.reservesDeck', { tier: action.cardTier }) :
+                    I18n.t('move.reserves', { card: cardLabel(action.cardId) });
+                break;
+            case ActionType.PURCHASE_CARD.value:
+                text = I18n.t('move.buys', { card: cardLabel(action.cardId) });
+                break;
+            case ActionType.PURCHASE_RESERVED.value:
+                text = I18n.t('move.buysReserved', { card: cardLabel(action.cardId) });
+                break;
+            default:
+                text = I18n.t('move.unknown');
+        }
+        return text;
+    }
+    
+    /**
+     * Short name of a card, e.g. "tier 2 red card (1 VP)"
+     */
+    cardLabel(card) {
+        const params = { tier: card.tier, color: this.colorName(card.bonus), points: card.points };
+        return I18n.t(card.points ? 'card.labelPoints' : 'card.label', params);
+    }
+    
+    getColorHex(color) {
+        return Theme.gemColor(color);
     }
     
     renderCards(visibleCards, decks) {
@@ -248,8 +788,8 @@ class UIManager {
         // decks is array of arrays of cards [deck1, deck2, deck3]
         
         // Get current player info for hover effects
-        const currentPlayerIndex = this.controller.state.currentPlayerIndex;
-        const currentPlayer = this.controller.state.players[currentPlayerIndex];
+        const currentPlayerIndex = this.renderedState.currentPlayerIndex;
+        const currentPlayer = this.renderedState.players[currentPlayerIndex];
         
         this.renderTier(this.elements.tier3Cards, visibleCards[2], 3, decks[2], currentPlayer);
         this.renderTier(this.elements.tier2Cards, visibleCards[1], 2, decks[1], currentPlayer);
@@ -269,19 +809,22 @@ class UIManager {
         }
 
         const deckCount = Array.isArray(deck) ? deck.length : deck;
+        deckEl.setAttribute('aria-label', deckCount > 0 ?
+            I18n.t('deck.aria', { tier: tier, count: deckCount }) : I18n.t('deck.ariaEmpty', { tier: tier }));
 
         if (deckCount > 0) {
             deckEl.innerHTML = `
                 <div class="deck-content">
-                    <div class="deck-label">Tier ${tier}</div>
+                    <div class="deck-label">${I18n.t('deck.label', { tier: tier })}</div>
                     <div class="deck-count">${deckCount}</div>
                 </div>
             `;
+            this.makeButton(deckEl);
             deckEl.addEventListener('click', () => this.controller.onDeckClick(tier));
             
             // Deck hover effect (can reserve?)
-            if (currentPlayer && currentPlayer.isHuman) {
-                if (currentPlayer.reservedCards.length < 3) {
+            if (this.isInteractivePlayer(currentPlayer)) {
+                if (this.controller.canReserveFromDeck(tier)) {
                     deckEl.classList.add('can-reserve');
                 } else {
                     deckEl.classList.add('cannot-act');
@@ -289,18 +832,22 @@ class UIManager {
             }
         } else {
             deckEl.classList.add('empty');
-            deckEl.innerHTML = '<div class="deck-label">Empty</div>';
+            deckEl.innerHTML = `<div class="deck-label">${I18n.t('deck.empty')}</div>`;
         }
         container.appendChild(deckEl);
         
         // Render Visible Cards
         cards.forEach(card => {
-            const el = this.createCardElement(card, tier, false, currentPlayer);
+            const el = this.createCardElement(card, tier, false, currentPlayer, currentPlayer);
             container.appendChild(el);
         });
     }
 
-    createCardElement(card, tier, isReserved = false, currentPlayer = null) {
+    /**
+     * @param {Object} currentPlayer - Player the hover hints are for (null for none)
+     * @param {Object} buyer - Player the affordability tooltip is for (null for none)
+     */
+    createCardElement(card, tier, isReserved = false, currentPlayer = null, buyer = null) {
         const el = document.createElement('div');
         el.className = `card tier-${tier}`;
         
@@ -317,21 +864,21 @@ class UIManager {
         }
         
         // Add hover effects
-        if (currentPlayer && currentPlayer.isHuman) {
-            const canAfford = this.controller.canAfford(currentPlayer, card);
+        if (this.isInteractivePlayer(currentPlayer)) {
+            const canPurchase = this.controller.canPurchase(card);
             
             if (isReserved) {
                 // Reserved cards: can only purchase
-                if (canAfford) {
+                if (canPurchase) {
                     el.classList.add('can-purchase');
                 } else {
                     el.classList.add('cannot-act');
                 }
             } else {
                 // Board cards: purchase or reserve
-                if (canAfford) {
+                if (canPurchase) {
                     el.classList.add('can-purchase');
-                } else if (currentPlayer.reservedCards.length < 3) {
+                } else if (this.controller.canReserve(card)) {
                     el.classList.add('can-reserve');
                 } else {
                     el.classList.add('cannot-act');
@@ -340,32 +887,115 @@ class UIManager {
         }
 
         el.setAttribute('data-card-id', card.id);
+        this.makeButton(el);
+        el.setAttribute('aria-pressed', el.classList.contains('selected') ? 'true' : 'false');
+        let label = this.describeCard(card);
+        if (isReserved) {
+            label = I18n.t('card.reserved', { card: label });
+        }
+        if (el.classList.contains('can-purchase')) {
+            label = I18n.t('card.canBuy', { card: label });
+        } else if (el.classList.contains('can-reserve')) {
+            label = I18n.t('card.canReserve', { card: label });
+        }
+        el.setAttribute('aria-label', label);
         el.innerHTML = `
-            <div class="card-header">
+            <div class="card-header" aria-hidden="true">
                 <div class="card-points">${card.points || ''}</div>
-                <div class="card-bonus" style="background-color: ${this.getColorHex(card.bonus)}"></div>
+                <div class="card-bonus" style="background-color: ${this.getColorHex(card.bonus)}">${this.colorSymbol(card.bonus)}</div>
             </div>
-            <div class="card-cost">
+            <div class="card-cost" aria-hidden="true">
                 ${this.renderCost(card.cost)}
             </div>
         `;
         
         if (isReserved) {
-            el.addEventListener('click', () => this.controller.onReservedCardClick(card.id));
+            el.addEventListener('click', () => {
+                this.controller.onReservedCardClick(card.id);
+                this.controller.touch.preview(card.id);
+            });
         } else {
-            el.addEventListener('click', () => this.controller.onCardClick(card.id, tier));
+            // Shift-click reserves straight away
+            el.addEventListener('click', (e) => {
+                this.controller.onCardClick(card.id, tier, e.shiftKey ? 'RESERVE' : null);
+                this.controller.touch.preview(card.id);
+            });
+        }
+        
+        if (buyer) {
+            this.cardPreviews.set(card.id, () => this.showCardTooltip(el, card, buyer));
+            el.addEventListener('mouseenter', () => this.showCardTooltip(el, card, buyer));
+            el.addEventListener('mouseleave', () => this.hideCardTooltip());
         }
         
         return el;
     }
     
+    /**
+     * Breakdown of what buying a card takes: payment, shortfall per color, gold used
+     * and the fewest turns of taking gems before it can be bought
+     */
+    showCardTooltip(el, card, buyer) {
+        const tooltip = this.elements.cardTooltip;
+        const state = this.renderedState;
+        const purchase = this.controller.findPurchaseAction(state, state.players.indexOf(buyer), card.id);
+        const info = CardAffordability.analyze(buyer, card, purchase);
+        
+        const lines = [];
+        if (info.affordable) {
+            const payment = this.describeGems(info.payment);
+            lines.push(I18n.t('tooltip.canBuy', { payment: payment || I18n.t('tooltip.free') }));
+            lines.push(I18n.t('payment.goldUsed', { used: info.goldUsed, total: buyer.gems.gold }));
+        } else {
+            lines.push(I18n.t('tooltip.shortOf', { gems: this.describeGems(info.shortfall) }));
+            if (info.goldUsed > 0) {
+                lines.push(I18n.t('tooltip.goldCovers', { gold: info.goldUsed, count: info.missing }));
+            }
+            lines.push(I18n.t('tooltip.turns', { count: info.turns }));
+        }
+        tooltip.innerHTML = '';
+        const heading = document.createElement('strong');
+        heading.textContent = buyer.name;
+        tooltip.appendChild(heading);
+        lines.forEach(line => {
+            const div = document.createElement('div');
+            div.textContent = line;
+            tooltip.appendChild(div);
+        });
+        
+        // Below the card, or above it when there is no room
+        const rect = el.getBoundingClientRect();
+        tooltip.classList.remove('hidden');
+        const below = rect.bottom + 6 + tooltip.offsetHeight <= window.innerHeight;
+        tooltip.style.left = `${Math.max(4, Math.min(rect.left, window.innerWidth - tooltip.offsetWidth - 4))}px`;
+        tooltip.style.top = `${below ? rect.bottom + 6 : rect.top - tooltip.offsetHeight - 6}px`;
+    }
+    
+    /**
+     * Tap-to-preview: the details of a card still on the board, by id
+     */
+    showCardPreview(cardId) {
+        const show = this.cardPreviews.get(cardId);
+        if (show) {
+            show();
+        } else {
+            this.hideCardTooltip();
+        }
+    }
+    
+    hideCardTooltip() {
+        if (this.elements.cardTooltip) {
+            this.elements.cardTooltip.classList.add('hidden');
+        }
+    }
+    
     renderCost(cost) {
         let html = '';
         for (const [color, count] of Object.entries(cost)) {
             if (count > 0) {
                 html += `
                     <div class="cost-item">
-                        <div class="cost-circle" style="background-color: ${this.getColorHex(color)}"></div>
+                        <div class="cost-circle" style="background-color: ${this.getColorHex(color)}">${this.colorSymbol(color)}</div>
                         <span>${count}</span>
                     </div>
                 `;
@@ -376,14 +1006,32 @@ class UIManager {
     
     renderPlayers(players, currentIndex) {
         this.elements.playersArea.innerHTML = '';
+        this.elements.playersArea.className = `players-${players.length}`;
+        const hotSeat = this.isHotSeat(this.renderedState);
+        const hasHuman = players.some(p => p.isHuman);
         players.forEach((player, index) => {
             const wrapper = document.createElement('div');
             wrapper.className = `player-wrapper ${player.isHuman ? 'human' : 'ai'}`;
             
-            const panel = this.createPlayerPanel(player, index === currentIndex);
-            const reserved = this.createReservedSection(player);
+            const panel = this.createPlayerPanel(player, index === currentIndex, hotSeat);
+            const reserved = this.createReservedSection(player, index);
+            
+            // Touch layout folds the opponents; at a shared screen the opponents are
+            // everyone but the player to move
+            const isOwn = hotSeat || !hasHuman ? index === currentIndex : player.isHuman;
+            if (!isOwn) {
+                const collapsed = this.controller.touch.isSeatCollapsed(player.id);
+                wrapper.classList.toggle('collapsed', collapsed);
+                const button = document.createElement('button');
+                button.className = 'player-collapse-btn';
+                this.updateCollapseButton(button, collapsed, player.name);
+                button.addEventListener('click', () => this.controller.touch.toggleSeat(player.id, wrapper));
+                panel.querySelector('.player-header').prepend(button);
+            }
             
-            if (player.isHuman) {
+            // Reserved cards sit on the outer side of each seat at a two-player table;
+            // larger tables stack them under the panel
+            if (players.length === 2 && index % 2 === 0) {
                 wrapper.appendChild(reserved);
                 wrapper.appendChild(panel);
             } else {
@@ -395,17 +1043,40 @@ class UIManager {
         });
     }
 
-    createPlayerPanel(player, isActive) {
+    /**
+     * One line for a folded seat: gems in hand, cards bought, cards reserved
+     */
+    describeSeatSummary(player) {
+        const gems = Object.values(player.gems).reduce((sum, count) => sum + count, 0);
+        const cards = Object.values(player.bonuses).reduce((sum, count) => sum + count, 0);
+        return [
+            I18n.t('player.gems', { count: gems }),
+            I18n.t('player.cards', { count: cards }),
+            I18n.t('player.reservedCount', { count: player.reservedCards.length })
+        ].join(' · ');
+    }
+
+    updateCollapseButton(button, collapsed, name = button.getAttribute('data-name')) {
+        button.setAttribute('data-name', name);
+        button.textContent = collapsed ? '▸' : '▾';
+        button.setAttribute('aria-expanded', collapsed ? 'false' : 'true');
+        button.setAttribute('aria-label', I18n.t(collapsed ? 'player.expand' : 'player.collapse', { name }));
+    }
+
+    createPlayerPanel(player, isActive, hotSeat = false) {
         const el = document.createElement('div');
         el.className = `player-panel ${isActive ? 'active' : ''}`;
         el.setAttribute('data-player-id', player.id);
+        el.setAttribute('role', 'region');
+        el.setAttribute('aria-label', I18n.t(isActive ? 'player.ariaActive' : 'player.aria', { name: player.name, count: player.points }));
         
         el.innerHTML = `
             <div class="player-header">
-                <div class="player-name">${player.name} ${player.isHuman ? '(You)' : '(AI)'}</div>
-                <div class="player-points">${player.points} VP</div>
+                <div class="player-name"></div>
+                <div class="player-points">${I18n.t('player.vp', { count: player.points })}</div>
             </div>
-            <div class="player-resources">
+            <div class="player-summary">${this.describeSeatSummary(player)}</div>
+            <div class="player-resources" role="list">
                 ${this.renderResourceRow('white', player.gems.white, player.bonuses.white)}
                 ${this.renderResourceRow('blue', player.gems.blue, player.bonuses.blue)}
                 ${this.renderResourceRow('green', player.gems.green, player.bonuses.green)}
@@ -415,25 +1086,33 @@ class UIManager {
             </div>
             
             <div class="nobles-collection">
-                ${player.nobles.map(n => `<div class="mini-noble"></div>`).join('')}
+                ${player.nobles.map(n => `
+                    <div class="mini-noble" data-noble-id="${n.id}" title="${this.describeNoble(n)}" role="img" aria-label="${this.describeNoble(n)}">
+                        <div class="mini-noble-points">${n.points}</div>
+                        <div class="mini-noble-reqs">${this.renderGemReqs(n.requirements)}</div>
+                    </div>
+                `).join('')}
             </div>
         `;
+        // Names are free text (typed in the setup modal or loaded from a shared file)
+        el.querySelector('.player-name').textContent =
+            `${player.name} ${I18n.t(player.isHuman ? (hotSeat ? 'player.human' : 'player.you') : 'player.ai')}`;
         return el;
     }
 
-    createReservedSection(player) {
+    createReservedSection(player, seatIndex) {
         const container = document.createElement('div');
-        container.className = `reserved-container ${player.isHuman ? 'left' : 'right'}`;
+        container.className = `reserved-container ${seatIndex % 2 === 0 ? 'left' : 'right'}`;
         
         if (player.reservedCards.length === 0) {
-            container.innerHTML = '<div class="reserved-placeholder">No reserved cards</div>';
+            container.innerHTML = `<div class="reserved-placeholder">${I18n.t('player.noReserved')}</div>`;
             return container;
         }
 
         // Pass current player for hover logic if it's the human player's reserved cards
         // Actually, we only want hover effects if it's the human player's turn and they are looking at their own cards
-        const currentPlayerIndex = this.controller.state.currentPlayerIndex;
-        const currentPlayer = this.controller.state.players[currentPlayerIndex];
+        const currentPlayerIndex = this.renderedState.currentPlayerIndex;
+        const currentPlayer = this.renderedState.players[currentPlayerIndex];
         const isOwnCards = currentPlayer.id === player.id;
 
         player.reservedCards.forEach(card => {
@@ -443,7 +1122,7 @@ class UIManager {
             // If it's my turn and these are opponent cards, show nothing or red?
             // Let's stick to: if it's human player's reserved cards, show status.
             
-            const cardEl = this.createCardElement(card, card.tier, true, isOwnCards ? currentPlayer : null);
+            const cardEl = this.createCardElement(card, card.tier, true, isOwnCards ? currentPlayer : null, player);
             container.appendChild(cardEl);
         });
 
@@ -452,54 +1131,121 @@ class UIManager {
     
     updateActionPanel(state) {
         const currentPlayer = state.players[state.currentPlayerIndex];
-        if (!currentPlayer.isHuman) {
+        const { purchaseCardBtn, reserveCardBtn } = this.elements;
+        if (!this.isInteractivePlayer(currentPlayer)) {
             this.elements.confirmBtn.disabled = true;
             this.elements.cancelBtn.disabled = true;
+            purchaseCardBtn.classList.add('hidden');
+            reserveCardBtn.classList.add('hidden');
             return;
         }
         
+        // A selected board card can be either purchased or reserved
+        const selectedCard = this.controller.selectedCard;
+        const boardCard = selectedCard && selectedCard.id !== -1 ? this.controller.findCard(selectedCard.id) : null;
+        purchaseCardBtn.classList.toggle('hidden', !boardCard);
+        reserveCardBtn.classList.toggle('hidden', !boardCard);
+        if (boardCard) {
+            purchaseCardBtn.disabled = !this.controller.canPurchase(boardCard);
+            reserveCardBtn.disabled = !this.controller.canReserve(boardCard);
+            reserveCardBtn.title = I18n.t(reserveCardBtn.disabled ? 'action.reserveFull' : 'action.reserveTitle');
+        }
+        
         // Enable confirm if action is ready
         if (this.controller.isActionReady()) {
             this.elements.confirmBtn.disabled = false;
             this.elements.confirmBtn.textContent = this.controller.getActionDescription();
         } else {
             this.elements.confirmBtn.disabled = true;
-            this.elements.confirmBtn.textContent = "Select Action";
+            this.elements.confirmBtn.textContent = boardCard ? this.controller.getActionDescription() : I18n.t('action.select');
         }
         
         this.elements.cancelBtn.disabled = false;
     }
     
+    /**
+     * Read a message out through the polite live region (screen readers)
+     */
+    announce(text) {
+        const announcer = this.elements.moveAnnouncer;
+        // Clearing first makes a repeated message be read again
+        announcer.textContent = '';
+        setTimeout(() => {
+            announcer.textContent = text;
+        }, 50);
+    }
+    
+    /**
+     * Spoken description of a card, e.g. "Tier 2 card, 2 points, red bonus, costs 3 white, 2 blue"
+     */
+    describeCard(card) {
+        const cost = this.describeGems(card.cost);
+        return I18n.t('card.describe', {
+            tier: card.tier,
+            count: card.points || 0,
+            color: this.colorName(card.bonus),
+            cost: cost ? I18n.t('card.costs', { gems: cost }) : I18n.t('card.free')
+        });
+    }
+    
+    /**
+     * Symbol drawn on a gem color in color-blind mode (hidden otherwise)
+     */
+    colorSymbol(color) {
+        const key = color.toLowerCase();
+        return `<span class="color-symbol color-symbol-${key}" aria-hidden="true">${UIManager.COLOR_SYMBOLS[key] || ''}</span>`;
+    }
+    
     showGameOver(state, winnerId) {
         const winner = state.players.find(p => p.id === winnerId);
-        this.elements.winnerDisplay.textContent = `${winner.name} wins with ${winner.points} points!`;
+        this.elements.winnerDisplay.textContent = I18n.t('gameOver.wins', { name: winner.name, count: winner.points });
+        this.announce(I18n.t('gameOver.announce', { name: winner.name, count: winner.points }));
+        
+        // With more than two players the rest of the table is worth showing too
+        if (state.players.length > 2) {
+            const standings = state.players
+                .slice()
+                .sort((a, b) => b.points - a.points)
+                .map(p => `${p.name}: ${p.points}`)
+                .join(' · ');
+            const line = document.createElement('div');
+            line.className = 'final-standings';
+            line.textContent = standings;
+            this.elements.winnerDisplay.appendChild(line);
+        }
         this.elements.gameOverModal.style.display = 'flex';
     }
 
     renderResourceRow(color, gemCount, bonusCount) {
         let gemsHtml = '';
         for (let i = 0; i < gemCount; i++) {
-            gemsHtml += `<div class="mini-gem" style="background-color: ${this.getColorHex(color)}"></div>`;
+            gemsHtml += `<div class="mini-gem" style="background-color: ${this.getColorHex(color)}">${this.colorSymbol(color)}</div>`;
         }
         
         // If too many gems, fallback to number
         if (gemCount > 5) {
-            gemsHtml = `<div class="mini-gem" style="background-color: ${this.getColorHex(color)}"></div> x${gemCount}`;
+            gemsHtml = `<div class="mini-gem" style="background-color: ${this.getColorHex(color)}">${this.colorSymbol(color)}</div> x${gemCount}`;
         }
 
         let bonusHtml = '';
         if (color !== 'gold') {
             for (let i = 0; i < bonusCount; i++) {
-                bonusHtml += `<div class="mini-card" style="background-color: ${this.getColorHex(color)}"></div>`;
+                bonusHtml += `<div class="mini-card" style="background-color: ${this.getColorHex(color)}">${this.colorSymbol(color)}</div>`;
             }
             // If too many bonuses, fallback to number
             if (bonusCount > 5) {
-                bonusHtml = `<div class="mini-card" style="background-color: ${this.getColorHex(color)}"></div> x${bonusCount}`;
+                bonusHtml = `<div class="mini-card" style="background-color: ${this.getColorHex(color)}">${this.colorSymbol(color)}</div> x${bonusCount}`;
             }
         }
 
+        const label = color === 'gold' ? I18n.t('player.gold', { count: gemCount }) :
+            I18n.t('player.resources', {
+                color: this.colorName(color),
+                gems: I18n.t('player.gems', { count: gemCount }),
+                bonuses: I18n.t('player.bonuses', { count: bonusCount })
+            });
         return `
-            <div class="resource-row">
+            <div class="resource-row" role="listitem" aria-label="${label}">
                 <div class="resource-item gems-container">${gemsHtml}</div>
                 ${color !== 'gold' ? `<div class="resource-item bonus-container">${bonusHtml}</div>` : '<div class="resource-item"></div>'}
             </div>
@@ -508,7 +1254,7 @@ class UIManager {
 
     async animateGems(gems, playerId) {
         const playerPanel = document.querySelector(`.player-panel[data-player-id="${playerId}"]`);
-        if (!playerPanel) return;
+        if (!playerPanel || this.animationSpeed === 0) return;
 
         const promises = gems.map(color => {
             return new Promise(resolve => {
@@ -523,6 +1269,7 @@ class UIManager {
                 flyingGem.style.backgroundColor = this.getColorHex(color);
                 flyingGem.style.left = `${rect.left + rect.width / 2 - 15}px`;
                 flyingGem.style.top = `${rect.top + rect.height / 2 - 15}px`;
+                flyingGem.style.transitionDuration = `${this.animationTime(800)}ms`;
                 
                 document.body.appendChild(flyingGem);
 
@@ -536,16 +1283,52 @@ class UIManager {
                 setTimeout(() => {
                     document.body.removeChild(flyingGem);
                     resolve();
-                }, 500);
+                }, this.animationTime(500));
             });
         });
 
         await Promise.all(promises);
     }
 
+    /**
+     * Fly a noble from the board to the panel of the player it visits
+     */
+    async animateNoble(nobleId, playerId) {
+        const playerPanel = document.querySelector(`.player-panel[data-player-id="${playerId}"]`);
+        const sourceEl = this.elements.noblesArea.querySelector(`.noble[data-noble-id="${nobleId}"]`);
+        if (!playerPanel || !sourceEl || this.animationSpeed === 0) return;
+        
+        const rect = sourceEl.getBoundingClientRect();
+        const target = playerPanel.querySelector('.nobles-collection') || playerPanel;
+        const targetRect = target.getBoundingClientRect();
+        
+        const flyingNoble = sourceEl.cloneNode(true);
+        flyingNoble.classList.add('flying-element', 'flying-noble');
+        flyingNoble.style.left = `${rect.left}px`;
+        flyingNoble.style.top = `${rect.top}px`;
+        flyingNoble.style.transitionDuration = `${this.animationTime(800)}ms`;
+        // The tile stays in place on the board until the next render, so it is hidden meanwhile
+        sourceEl.style.visibility = 'hidden';
+        document.body.appendChild(flyingNoble);
+        
+        // Force reflow
+        flyingNoble.offsetHeight;
+        
+        flyingNoble.style.left = `${targetRect.left + targetRect.width / 2 - rect.width / 2}px`;
+        flyingNoble.style.top = `${targetRect.top + targetRect.height / 2 - rect.height / 2}px`;
+        flyingNoble.style.transform = 'scale(0.4)';
+        
+        return new Promise(resolve => {
+            setTimeout(() => {
+                document.body.removeChild(flyingNoble);
+                resolve();
+            }, this.animationTime(800));
+        });
+    }
+    
     async animateCard(cardId, tier, playerId) {
         const playerPanel = document.querySelector(`.player-panel[data-player-id="${playerId}"]`);
-        if (!playerPanel) return;
+        if (!playerPanel || this.animationSpeed === 0) return;
 
         // Find the card element. It might be in a tier row or reserved section (if purchasing reserved)
         // We need a way to identify the card element. Let's assume we can find it by some attribute or just use the tier container as approximation if specific card not found easily without ID on element
@@ -569,6 +1352,7 @@ class UIManager {
         flyingCard.style.top = `${rect.top}px`;
         flyingCard.style.width = `${rect.width}px`;
         flyingCard.style.height = `${rect.height}px`;
+        flyingCard.style.transitionDuration = `${this.animationTime(800)}ms`;
         // Copy background/style if possible, or just generic card look
         flyingCard.style.backgroundColor = '#ecf0f1';
         
@@ -586,7 +1370,7 @@ class UIManager {
             setTimeout(() => {
                 document.body.removeChild(flyingCard);
                 resolve();
-            }, 800);
+            }, this.animationTime(800));
         });
     }
     
@@ -595,4 +1379,85 @@ class UIManager {
             this.elements.unwindBtn.disabled = !canUnwind;
         }
     }
-}
\ No newline at end of file
+    
+    updateRedoButton(canRedo) {
+        if (this.elements.redoBtn) {
+            this.elements.redoBtn.disabled = !canRedo;
+        }
+    }
+    
+    /**
+     * Render the move history dropdown
+     * @param {Array} items - { text, isHuman } for played moves followed by undone ones
+     * @param {number} currentCount - Number of moves currently applied
+     */
+    renderHistory(items, currentCount) {
+        const list = this.elements.historyList;
+        if (!list) return;
+        list.innerHTML = '';
+        
+        const addItem = (text, actionCount, className) => {
+            const li = document.createElement('li');
+            li.className = `history-item ${className}`;
+            if (actionCount > currentCount) li.classList.add('undone');
+            if (actionCount === currentCount) li.classList.add('current');
+            li.textContent = text;
+            li.addEventListener('click', () => this.controller.jumpToHistory(actionCount));
+            list.appendChild(li);
+        };
+        
+        addItem(I18n.t('history.start'), 0, 'start');
+        items.forEach((item, index) => {
+            addItem(`${index + 1}. ${item.text}`, index + 1, item.isHuman ? 'human' : 'ai');
+        });
+        
+        this.elements.historyResumeBtn.hidden = currentCount >= items.length;
+        this.elements.historyBtn.textContent = I18n.t('header.history', { count: currentCount });
+        
+        const current = list.querySelector('.current');
+        if (current) {
+            current.scrollIntoView({ block: 'nearest' });
+        }
+    }
+    
+    /**
+     * Offer the autosaved game in the setup modal
+     * @param {Object} saved - AutosaveStore save, or null to hide the option
+     */
+    showResumeOption(saved) {
+        const { resumeGameBtn, resumeGameInfo } = this.elements;
+        this.resumeSave = saved;
+        resumeGameBtn.classList.toggle('hidden', !saved);
+        resumeGameInfo.classList.toggle('hidden', !saved);
+        if (!saved) return;
+        
+        const names = saved.record.seats ? saved.record.seats.map(seat => seat.name).join(I18n.t('setup.versus')) : '';
+        resumeGameInfo.textContent = I18n.t('setup.resumeInfo', {
+            names: names,
+            count: saved.record.actions.length,
+            date: I18n.formatDate(new Date(saved.savedAt))
+        });
+    }
+    
+    updateRecordButtons(hasRecord) {
+        if (this.elements.saveGameBtn) {
+            this.elements.saveGameBtn.disabled = !hasRecord;
+        }
+        if (this.elements.replayBtn) {
+            this.elements.replayBtn.disabled = !hasRecord;
+        }
+    }
+}
+
+// One distinct shape per gem color for color-blind mode
+UIManager.COLOR_SYMBOLS = {
+    white: '○',
+    blue: '◆',
+    green: '♣',
+    red: '♥',
+    black: '■',
+    gold: '★'
+};
+
+// Animation duration factor per animationSpeed preference
+UIManager.ANIMATION_SPEEDS = { off: 0, fast: 0.5, normal: 1, slow: 2 };
\ No newline at end of file
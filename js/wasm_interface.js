@@ -2,6 +2,7 @@ class WasmInterface {
     constructor() {
         this.module = null;
         this.gameEngine = null;
+        this.playerNames = null; // The engine keeps its own names, so chosen names are applied here
     }
     
     async initialize() {
@@ -11,18 +12,290 @@ class WasmInterface {
         }
         this.module = await Module();
         this.gameEngine = new this.module.GameEngine();
+        this.checkNobleTable();
     }
     
-    initGame(firstPlayerIndex) {
-        this.gameEngine.initGame(firstPlayerIndex);
+    /**
+     * Compare the nobles the engine deals with WasmInterface.NOBLES, which initGame draws the
+     * extra nobles of 3 and 4 player tables from; a mismatch means the table needs updating
+     * @returns {boolean} Whether every dealt noble is in the table, with the same tile
+     */
+    checkNobleTable() {
+        const scratch = this.createScratch();
+        const unknown = [];
+        for (let deal = 0; deal < WasmInterface.NOBLE_CHECK_DEALS; deal++) {
+            scratch.gameEngine.initGame(0);
+            scratch.getGameState().nobles.forEach(noble => {
+                const known = WasmInterface.NOBLES.find(n => n.id === noble.id);
+                const same = known && known.points === noble.points && WasmInterface.GEM_KEYS.every(color =>
+                    (known.requirements[color] || 0) === (noble.requirements[color] || 0));
+                if (!same) {
+                    unknown.push(noble.id);
+                }
+            });
+        }
+        scratch.dispose();
+        
+        if (unknown.length > 0) {
+            console.error('WasmInterface.NOBLES is out of sync with the engine; nobles:', [...new Set(unknown)]);
+        }
+        return unknown.length === 0;
+    }
+    
+    /**
+     * Create an interface with its own GameEngine on the already loaded module,
+     * for replaying or simulating games without touching the live one
+     */
+    createScratch() {
+        const scratch = new WasmInterface();
+        scratch.module = this.module;
+        scratch.gameEngine = new this.module.GameEngine();
+        scratch.playerNames = this.playerNames;
+        return scratch;
+    }
+    
+    /**
+     * Free the engine of a scratch interface
+     */
+    dispose() {
+        if (this.gameEngine) {
+            this.gameEngine.delete();
+            this.gameEngine = null;
+        }
+    }
+    
+    /**
+     * Set up a new game with seat 0 to move first
+     * The engine ends the game once its last seat has moved in the round where someone
+     * reached 15 points, whoever started, so only a game started by seat 0 gives every
+     * player the same number of turns. To let another player begin, rotate the lineup
+     * (see GameController.startNewGame).
+     * @param {number} playerCount - 2 to 4 seats
+     */
+    initGame(playerCount = 2) {
+        this.gameEngine.initGame(0);
+        if (playerCount === 2) return;
+        
+        // The engine deals a two-player table; widen it to the official setup for more seats
+        const state = this.getGameState();
+        const template = state.players[1];
+        for (let id = state.players.length; id < playerCount; id++) {
+            state.players.push({ ...JSON.parse(JSON.stringify(template)), id: id, name: `Player ${id + 1}` });
+        }
+        
+        const gemsPerColor = WasmInterface.GEMS_PER_COLOR[playerCount];
+        WasmInterface.GEM_KEYS.filter(color => color !== 'gold').forEach(color => {
+            state.gemPool[color] = gemsPerColor;
+        });
+        
+        // One noble more than there are players, drawn from those not already on the table.
+        // The draw is outside the engine's own random state; the game record keeps the
+        // dealt table as its initial state, so replays do not depend on it.
+        const remaining = WasmInterface.NOBLES.filter(noble => !state.nobles.some(n => n.id === noble.id));
+        while (state.nobles.length < playerCount + 1 && remaining.length > 0) {
+            const [noble] = remaining.splice(Math.floor(Math.random() * remaining.length), 1);
+            state.nobles.push(JSON.parse(JSON.stringify(noble)));
+        }
+        
+        this.setGameState(state);
     }
     
     getGameState() {
         const json = this.gameEngine.getStateJSON();
-        return JSON.parse(json);
+        const state = JSON.parse(json);
+        if (this.playerNames) {
+            state.players.forEach((player, index) => {
+                if (this.playerNames[index]) player.name = this.playerNames[index];
+            });
+        }
+        return state;
+    }
+    
+    /**
+     * Names reported for each seat by getGameState (null keeps the engine names)
+     */
+    setPlayerNames(names) {
+        this.playerNames = names ? names.slice() : null;
+    }
+    
+    setGameState(state) {
+        this.gameEngine.setStateFromJSON(JSON.stringify(state));
     }
     
     executeAction(action) {
+        const plainAction = this.toPlainAction(action);
+        const ActionType = this.module.ActionType;
+        const choosesNoble = typeof plainAction.nobleId === 'number';
+        const before = choosesNoble ? this.getGameState() : null;
+        const claimable = choosesNoble ? this.claimableNobles(before, this.getLegalActions()) : null;
+        
+        let success;
+        if (plainAction.payment && (plainAction.type === ActionType.PURCHASE_CARD.value ||
+                                    plainAction.type === ActionType.PURCHASE_RESERVED.value)) {
+            success = this.executePurchase(plainAction);
+        } else {
+            success = this.gameEngine.executeActionFromJS(plainAction);
+        }
+        
+        // Limitation: the engine cannot be told which noble visits; it takes the first eligible
+        // one and settleNobleVisit swaps in the player's choice on its result. Only nobles the
+        // position could attract before the move are swapped in, so an action (say from an
+        // edited game record) cannot use nobleId to award any other noble.
+        if (success && choosesNoble) {
+            return this.settleNobleVisit(before, plainAction.nobleId, claimable);
+        }
+        return success;
+    }
+    
+    /**
+     * Give the mover the noble they chose when several qualified on the same turn
+     * The engine always takes the first eligible noble on the board, so when the choice
+     * differs the two are swapped on its result.
+     * @param {Array<number>} claimable - Nobles claimableNobles reported before the move
+     * @returns {boolean} false (with the position restored) if the chosen noble cannot visit
+     */
+    settleNobleVisit(before, nobleId, claimable) {
+        const playerIndex = before.currentPlayerIndex;
+        const after = this.getGameState();
+        const player = after.players[playerIndex];
+        const owned = before.players[playerIndex].nobles;
+        const awarded = player.nobles.find(noble => !owned.some(n => n.id === noble.id));
+        const chosen = claimable.includes(nobleId) ? before.nobles.find(noble => noble.id === nobleId) : null;
+        if (!awarded || !chosen || !WasmInterface.meetsRequirements(player.bonuses, chosen.requirements)) {
+            this.setGameState(before);
+            return false;
+        }
+        if (awarded.id === chosen.id) {
+            return true;
+        }
+        
+        player.nobles[player.nobles.indexOf(awarded)] = chosen;
+        player.points += chosen.points - awarded.points;
+        // The declined noble stays on the board in the chosen one's place
+        after.nobles = before.nobles
+            .filter(noble => noble.id !== awarded.id)
+            .map(noble => noble.id === chosen.id ? awarded : noble);
+        this.setGameState(after);
+        return true;
+    }
+    
+    /**
+     * Nobles the player to move would attract with one of their legal purchases
+     * @param {Object} state - Position the legal actions belong to
+     * @param {Array} legalActions - The engine's legal actions in that position
+     * @returns {Array<number>} Noble ids
+     */
+    claimableNobles(state, legalActions) {
+        const ActionType = this.module.ActionType;
+        const bonuses = state.players[state.currentPlayerIndex].bonuses;
+        const gained = new Set();
+        legalActions.forEach(action => {
+            if (action.type !== ActionType.PURCHASE_CARD.value && action.type !== ActionType.PURCHASE_RESERVED.value) return;
+            const card = WasmInterface.findPurchasedCard(state, action);
+            if (card) gained.add(card.bonus.toLowerCase());
+        });
+        
+        return state.nobles.filter(noble => {
+            const missing = Object.entries(WasmInterface.missingBonuses(bonuses, noble.requirements));
+            if (missing.length === 0) return gained.size > 0;
+            return missing.length === 1 && missing[0][1] === 1 && gained.has(missing[0][0]);
+        }).map(noble => noble.id);
+    }
+    
+    /**
+     * Whether card bonuses cover a noble's requirements
+     */
+    static meetsRequirements(bonuses, requirements) {
+        return WasmInterface.GEM_KEYS.every(color => (bonuses[color] || 0) >= (requirements[color] || 0));
+    }
+    
+    /**
+     * Card bonuses still missing for a noble, per color (only colors that fall short)
+     */
+    static missingBonuses(bonuses, requirements) {
+        const missing = {};
+        WasmInterface.GEM_KEYS.forEach(color => {
+            const short = (requirements[color] || 0) - (bonuses[color] || 0);
+            if (short > 0) missing[color] = short;
+        });
+        return missing;
+    }
+    
+    /**
+     * Execute a purchase with the payment the action asks for
+     * The engine ignores action.payment and always pays the way its legal PURCHASE action
+     * lists (colored gems first, then gold). Every cost rule stays with the engine; the one
+     * choice it leaves the player is paying gold instead of some of those colored gems, so
+     * the chosen payment is only checked as such a swap of the listed one. The engine has no
+     * way to take a payment it did not choose, hence the state is patched after its purchase.
+     */
+    executePurchase(action) {
+        const before = this.getGameState();
+        const playerIndex = before.currentPlayerIndex;
+        const player = before.players[playerIndex];
+        const legalAction = this.getLegalActions().find(candidate =>
+            candidate.type === action.type && candidate.cardId === action.cardId);
+        if (!legalAction || !WasmInterface.isGoldSwap(legalAction.payment, action.payment, player.gems.gold)) {
+            return false;
+        }
+        
+        if (!this.gameEngine.executeActionFromJS(legalAction)) {
+            return false;
+        }
+        
+        // Whatever the engine took beyond the chosen payment goes back to the player, and vice versa
+        const after = this.getGameState();
+        const gems = after.players[playerIndex].gems;
+        let adjusted = false;
+        WasmInterface.GEM_KEYS.forEach(color => {
+            const difference = (player.gems[color] - gems[color]) - action.payment[color];
+            if (difference !== 0) {
+                gems[color] += difference;
+                after.gemPool[color] -= difference;
+                adjusted = true;
+            }
+        });
+        if (adjusted) {
+            this.setGameState(after);
+        }
+        return true;
+    }
+    
+    /**
+     * Card a purchase action refers to, from the table or the player's reserve
+     */
+    static findPurchasedCard(state, action) {
+        if (action.fromReserved) {
+            return state.players[state.currentPlayerIndex].reservedCards.find(card => card.id === action.cardId) || null;
+        }
+        for (const row of state.visibleCards) {
+            const card = row.find(c => c.id === action.cardId);
+            if (card) return card;
+        }
+        return null;
+    }
+    
+    /**
+     * Whether a payment is the engine's payment with gold paid instead of some colored gems
+     * @param {Object} enginePayment - Payment on the engine's legal PURCHASE action
+     * @param {Object} payment - Payment chosen by the player
+     * @param {number} goldHeld - Gold tokens the player holds
+     */
+    static isGoldSwap(enginePayment, payment, goldHeld) {
+        let swapped = 0;
+        for (const color of WasmInterface.GEM_KEYS) {
+            if (color === 'gold') continue;
+            const paid = payment[color] || 0;
+            if (!Number.isInteger(paid) || paid < 0 || paid > enginePayment[color]) {
+                return false;
+            }
+            swapped += enginePayment[color] - paid;
+        }
+        const gold = payment.gold || 0;
+        return gold === enginePayment.gold + swapped && gold <= goldHeld;
+    }
+    
+    toPlainAction(action) {
         // Use the new helper that accepts a JS object with integer enums
         // We need to ensure the action object is in the correct format (integers, arrays)
         // because human actions might use Embind objects (Enums, Vectors)
@@ -52,7 +325,7 @@ class WasmInterface {
             plainAction.gems = gems;
         }
         
-        return this.gameEngine.executeActionFromJS(plainAction);
+        return plainAction;
     }
     
     getLegalActions() {
@@ -93,4 +366,25 @@ class WasmInterface {
         console.log(`AI Debug mode ${enabled ? 'enabled' : 'disabled'}`);
     }
     
-}
\ No newline at end of file
+}
+
+WasmInterface.GEM_KEYS = ['white', 'blue', 'green', 'red', 'black', 'gold'];
+WasmInterface.MIN_PLAYERS = 2;
+WasmInterface.MAX_PLAYERS = 4;
+
+// Gems of each non-gold color in the pool, by player count (gold is always 5)
+WasmInterface.GEMS_PER_COLOR = { 2: 4, 3: 5, 4: 7 };
+
+// Noble tiles known to the engine, by id. The engine cannot deal more than two players, so
+// this copies its noble data (cpp/src/game_engine.cpp in the engine's source, built into
+// wasm/splendor.wasm) and must be kept in step with it; checkNobleTable() compares the two
+// when the module loads.
+WasmInterface.NOBLE_CHECK_DEALS = 12; // Engine deals of 3 nobles compared on load
+WasmInterface.NOBLES = [
+    [3, 3, 3, 0, 0], [0, 3, 3, 3, 0], [0, 0, 3, 3, 3], [3, 0, 0, 3, 3], [3, 3, 0, 0, 3],
+    [4, 4, 0, 0, 0], [0, 4, 4, 0, 0], [0, 0, 4, 4, 0], [0, 0, 0, 4, 4], [4, 0, 0, 0, 4]
+].map(([white, blue, green, red, black], id) => ({
+    id: id,
+    points: 3,
+    requirements: { white, blue, green, red, black, gold: 0 }
+}));
\ No newline at end of file